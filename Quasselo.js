@@ -1,817 +1,6289 @@
 // Quasselo - Text-to-Speech Reader Application
 // All functionality in Vanilla JavaScript
 
-class Quasselo {
-    constructor() {
-        // State
-        this.words = [];
-        this.currentIndex = 0;
-        this.isPrepared = false;
-        this.isPlaying = false;
-        this.isPaused = false;
-        this.currentSentenceStart = 0;
-        this.currentSentenceEnd = 0;
-        this.speechRate = 0.9; // Speech speed
-        this.selectedVoice = null; // Selected voice object
-        this.fontSize = 18; // Font size in pixels
+// ===== TEXT NORMALIZATION =====
+// Turns written German tokens into the form a voice should speak:
+// abbreviations, numbers, ordinals, dates, times, currency, percent and units.
+
+const GERMAN_ABBREVIATIONS = {
+    'z.b.': 'zum Beispiel',
+    'z.t.': 'zum Teil',
+    'd.h.': 'das heißt',
+    'u.a.': 'unter anderem',
+    'u.u.': 'unter Umständen',
+    'o.ä.': 'oder ähnlich',
+    'v.a.': 'vor allem',
+    'u.s.w.': 'und so weiter',
+    'v.chr.': 'vor Christus',
+    'n.chr.': 'nach Christus',
+    'usw.': 'und so weiter',
+    'bzw.': 'beziehungsweise',
+    'ca.': 'circa',
+    'dr.': 'Doktor',
+    'prof.': 'Professor',
+    'hr.': 'Herr',
+    'fr.': 'Frau',
+    'nr.': 'Nummer',
+    'str.': 'Straße',
+    'st.': 'Sankt',
+    'etc.': 'et cetera',
+    'evtl.': 'eventuell',
+    'ggf.': 'gegebenenfalls',
+    'inkl.': 'inklusive',
+    'zzgl.': 'zuzüglich',
+    'max.': 'maximal',
+    'mind.': 'mindestens',
+    'vgl.': 'vergleiche',
+    'sog.': 'sogenannt',
+    'bspw.': 'beispielsweise',
+    'insb.': 'insbesondere',
+    'allg.': 'allgemein',
+    'ehem.': 'ehemals',
+    'urspr.': 'ursprünglich',
+    'ggü.': 'gegenüber',
+    'lt.': 'laut',
+    'geb.': 'geboren',
+    'gest.': 'gestorben',
+    'jh.': 'Jahrhundert',
+    'jhd.': 'Jahrhundert',
+    'mio.': 'Millionen',
+    'mrd.': 'Milliarden',
+    'tel.': 'Telefon',
+    'abs.': 'Absatz',
+    'abb.': 'Abbildung',
+    'bd.': 'Band'
+};
+
+// Abbreviations written with a space ("z. B.") arrive as two tokens
+const GERMAN_SPLIT_ABBREVIATIONS = {
+    'z.': { 'b.': 'zum Beispiel', 't.': 'zum Teil' },
+    'd.': { 'h.': 'das heißt' },
+    'u.': { 'a.': 'unter anderem', 'u.': 'unter Umständen' },
+    'o.': { 'ä.': 'oder ähnlich' },
+    'v.': { 'a.': 'vor allem', 'chr.': 'vor Christus' },
+    'n.': { 'chr.': 'nach Christus' }
+};
+
+const GERMAN_MONTHS = [
+    'Januar', 'Februar', 'März', 'April', 'Mai', 'Juni',
+    'Juli', 'August', 'September', 'Oktober', 'November', 'Dezember'
+];
+
+// [singular, plural, feminine]
+const GERMAN_UNITS = {
+    'km/h': ['Kilometer pro Stunde', 'Kilometer pro Stunde', false],
+    'km': ['Kilometer', 'Kilometer', false],
+    'm': ['Meter', 'Meter', false],
+    'cm': ['Zentimeter', 'Zentimeter', false],
+    'mm': ['Millimeter', 'Millimeter', false],
+    'm²': ['Quadratmeter', 'Quadratmeter', false],
+    'm³': ['Kubikmeter', 'Kubikmeter', false],
+    'kg': ['Kilogramm', 'Kilogramm', false],
+    'g': ['Gramm', 'Gramm', false],
+    'mg': ['Milligramm', 'Milligramm', false],
+    't': ['Tonne', 'Tonnen', true],
+    'l': ['Liter', 'Liter', false],
+    'ml': ['Milliliter', 'Milliliter', false],
+    'h': ['Stunde', 'Stunden', true],
+    'std.': ['Stunde', 'Stunden', true],
+    'min': ['Minute', 'Minuten', true],
+    'min.': ['Minute', 'Minuten', true],
+    'sek.': ['Sekunde', 'Sekunden', true],
+    's': ['Sekunde', 'Sekunden', true],
+    '°c': ['Grad Celsius', 'Grad Celsius', false],
+    '°': ['Grad', 'Grad', false],
+    'kwh': ['Kilowattstunde', 'Kilowattstunden', true],
+    'kw': ['Kilowatt', 'Kilowatt', false],
+    'w': ['Watt', 'Watt', false],
+    'mb': ['Megabyte', 'Megabyte', false],
+    'gb': ['Gigabyte', 'Gigabyte', false],
+    '%': ['Prozent', 'Prozent', false],
+    '‰': ['Promille', 'Promille', false]
+};
+
+// [singular, plural, sub-unit]
+const GERMAN_CURRENCIES = {
+    '€': ['Euro', 'Euro', 'Cent'],
+    'eur': ['Euro', 'Euro', 'Cent'],
+    'euro': ['Euro', 'Euro', 'Cent'],
+    '$': ['Dollar', 'Dollar', 'Cent'],
+    'usd': ['Dollar', 'Dollar', 'Cent'],
+    '£': ['Pfund', 'Pfund', 'Pence'],
+    'chf': ['Franken', 'Franken', 'Rappen']
+};
+
+// Ordinals after these words take the dative/accusative ending ("am dritten")
+const GERMAN_ORDINAL_N_CONTEXT = ['am', 'im', 'vom', 'zum', 'beim', 'den', 'dem', 'des', 'seit', 'bis'];
+
+// Before a capitalised word, "3." is an ordinal only after one of these ("am 3. Tag")
+const GERMAN_ORDINAL_CONTEXT = ['am', 'im', 'vom', 'zum', 'beim', 'der', 'die', 'das', 'den', 'dem', 'des'];
+
+// "N." is an ordinal before a lowercase word or a month ("3. Oktober", "der 3. große")
+// and after an article; otherwise the number ends a sentence ("Das war 2024. Dann …").
+// previous is the lower-case word before the number, next the raw token after it.
+function isOrdinalNumber(previous, next) {
+    if (!next) return false;
+    const word = next.replace(/^[("„“‚‘'»«\[{]+/, '').replace(/[.,;:!?…)"“”‘’'»«\]}]+$/, '');
+    return /^\p{Ll}/u.test(word) || GERMAN_MONTHS.includes(word) || GERMAN_ORDINAL_CONTEXT.includes(previous);
+}
+
+// "1 Katze" → "eine Katze": nouns with these endings are nearly always feminine;
+// other nouns get "ein", which fits masculine and neuter ones
+const GERMAN_FEMININE_ENDINGS = ['e', 'ung', 'heit', 'keit', 'schaft', 'ion', 'tät', 'ik', 'ei', 'in'];
+const GERMAN_ARTICLES = ['der', 'die', 'das', 'den', 'dem', 'des', 'ein', 'eine', 'einen', 'einem', 'einer', 'eines'];
+
+const NUMBER_WORDS = [
+    'null', 'eins', 'zwei', 'drei', 'vier', 'fünf', 'sechs', 'sieben', 'acht', 'neun',
+    'zehn', 'elf', 'zwölf', 'dreizehn', 'vierzehn', 'fünfzehn', 'sechzehn', 'siebzehn', 'achtzehn', 'neunzehn'
+];
+const TENS_WORDS = ['', '', 'zwanzig', 'dreißig', 'vierzig', 'fünfzig', 'sechzig', 'siebzig', 'achtzig', 'neunzig'];
+const ORDINAL_WORDS = {
+    1: 'erste', 3: 'dritte', 7: 'siebte', 8: 'achte'
+};
+
+class TextNormalizer {
+    // Returns the spoken form for every token (same length as tokens).
+    // Tokens that were merged into a neighbour get an empty spoken form.
+    normalizeTokens(tokens) {
+        const spoken = new Array(tokens.length);
         
-        // Debounce for Play/Pause button
-        this.playPauseTimeout = null;
-        this.playPauseBlocked = false;
+        for (let i = 0; i < tokens.length; i++) {
+            if (spoken[i] !== undefined) continue;
+            
+            const result = this.normalizeToken(tokens, i);
+            spoken[i] = result.spoken;
+            
+            // Mark tokens consumed by lookahead (e.g. "€" after "5,50")
+            for (let j = 1; j <= result.consumed; j++) {
+                spoken[i + j] = '';
+            }
+        }
         
-        // TTS
-        this.utterance = null;
-        this.synth = window.speechSynthesis;
+        return spoken;
+    }
+    
+    normalizeToken(tokens, i) {
+        const token = tokens[i];
+        const { leading, core, trailing } = this.splitPunctuation(token);
+        const next = i + 1 < tokens.length ? this.splitPunctuation(tokens[i + 1]) : null;
+        const prev = i > 0 ? this.splitPunctuation(tokens[i - 1]).core.toLowerCase() : '';
+        const lower = core.toLowerCase();
         
-        // DOM Elements
-        this.textName = document.getElementById('textName');
-        this.textArea = document.getElementById('textArea');
-        this.currentPosDisplay = document.getElementById('currentPos');
-        this.totalWordsDisplay = document.getElementById('totalWords');
-        this.jumpPositionInput = document.getElementById('jumpPosition');
+        const wrap = (text, consumed = 0, keepTrailing = trailing) => ({
+            spoken: leading + text + keepTrailing,
+            consumed
+        });
         
-        // Buttons
-        this.btnClipboard = document.getElementById('btnClipboard');
-        this.btnSave = document.getElementById('btnSave');
-        this.btnPrepare = document.getElementById('btnPrepare');
-        this.btnPrepareActive = document.getElementById('btnPrepareActive');
-        this.btnExport = document.getElementById('btnExport');
-        this.btnImport = document.getElementById('btnImport');
-        this.btnDelete = document.getElementById('btnDelete');
-        this.btnMenu = document.getElementById('btnMenu');
-        this.btnHoren = document.getElementById('btnHoren');
-        this.btnPause = document.getElementById('btnPause');
-        this.btnStop = document.getElementById('btnStop');
-        this.btnBegin = document.getElementById('btnBegin');
-        this.btnPrev = document.getElementById('btnPrev');
-        this.btnNext = document.getElementById('btnNext');
-        this.btnRepeat = document.getElementById('btnRepeat');
-        this.btnEnd = document.getElementById('btnEnd');
-        this.btnClose = document.getElementById('btnClose');
+        if (!core) return wrap('');
         
-        // Settings Modal
-        this.settingsModal = document.getElementById('settingsModal');
-        this.closeSettingsBtn = document.getElementById('closeSettings');
-        this.speedSlider = document.getElementById('speedSlider');
-        this.speedValue = document.getElementById('speedValue');
-        this.fontSizeSlider = document.getElementById('fontSizeSlider');
-        this.fontSizeValue = document.getElementById('fontSizeValue');
-        this.voiceSelect = document.getElementById('voiceSelect');
-        this.voiceInfo = document.getElementById('voiceInfo');
+        // Abbreviations written with a space: "z. B."
+        if (next && GERMAN_SPLIT_ABBREVIATIONS[lower]) {
+            const expansion = GERMAN_SPLIT_ABBREVIATIONS[lower][next.core.toLowerCase()];
+            if (expansion) return wrap(expansion, 1, next.trailing);
+        }
         
-        this.fileInput = document.getElementById('fileInput');
+        // Abbreviations
+        if (GERMAN_ABBREVIATIONS[lower]) {
+            return wrap(GERMAN_ABBREVIATIONS[lower]);
+        }
         
-        // Initialize
-        this.attachEventListeners();
-        this.updateUI();
+        // A unit, currency or "Uhr" may end the sentence: "10 km.", "5 €."
+        const nextWord = next ? this.splitSentencePeriod(next) : null;
         
-        // Load voices (needed for voice selection)
-        // Mobile browsers need special handling
-        this.voicesLoaded = false;
-        this.loadVoices();
+        // Times: 14:30, 9:05 and 14.30 Uhr
+        const nextIsUhr = nextWord && nextWord.key === 'uhr';
+        let match = core.match(/^(\d{1,2})[:.](\d{2})$/);
+        if (match && (core.includes(':') || nextIsUhr) && +match[1] < 25 && +match[2] < 60) {
+            const hours = this.numberToWords(+match[1]);
+            const minutes = +match[2] > 0 ? ' ' + this.numberToWords(+match[2]) : '';
+            return nextIsUhr
+                ? wrap(`${hours} Uhr${minutes}`, 1, nextWord.trailing)
+                : wrap(`${hours} Uhr${minutes}`);
+        }
         
-        // Listen for voices changed event (important for mobile)
-        if ('speechSynthesis' in window) {
-            this.synth.addEventListener('voiceschanged', () => {
-                this.loadVoices();
-            });
+        // Dates: 3.10.2024, 03.10.24, 3.10.
+        match = core.match(/^(\d{1,2})\.(\d{1,2})\.(\d{2}|\d{4})?$/);
+        if (match && +match[1] >= 1 && +match[1] <= 31 && +match[2] >= 1 && +match[2] <= 12) {
+            const ending = GERMAN_ORDINAL_N_CONTEXT.includes(prev) ? 'n' : 'r';
+            let text = this.ordinalToWords(+match[1]) + ending + ' ' + GERMAN_MONTHS[+match[2] - 1];
+            if (match[3]) {
+                const year = match[3].length === 2 ? 2000 + +match[3] : +match[3];
+                text += ' ' + this.yearToWords(year);
+            }
+            return wrap(text);
         }
-    }
-    
-    loadVoices() {
-        const voices = this.synth.getVoices();
-        if (voices.length > 0) {
-            this.voicesLoaded = true;
-            console.log('Voices loaded:', voices.length);
-            
-            // Filter German voices
-            const germanVoices = voices.filter(v => 
-                v.lang.startsWith('de-') || v.lang === 'de' || v.lang.startsWith('DE')
-            );
-            
-            console.log('German voices:', germanVoices.length);
-            
-            // Populate dropdown
-            this.voiceSelect.innerHTML = '';
-            
-            if (germanVoices.length === 0) {
-                this.voiceSelect.innerHTML = '<option value="">Keine deutschen Stimmen verfügbar</option>';
-                this.voiceInfo.textContent = '⚠ Keine deutschen Stimmen gefunden';
-                return;
+        
+        // Ordinals: "3." → "dritte"; otherwise a number at the end of a sentence
+        match = core.match(/^(\d{1,4})\.$/);
+        if (match) {
+            if (isOrdinalNumber(prev, tokens[i + 1])) {
+                const ending = GERMAN_ORDINAL_N_CONTEXT.includes(prev) ? 'n' : '';
+                return wrap(this.ordinalToWords(+match[1]) + ending);
             }
-            
-            germanVoices.forEach((voice, index) => {
-                const option = document.createElement('option');
-                option.value = voice.name;
-                option.textContent = `${voice.name} (${voice.lang})`;
+            return wrap(this.plainNumberToWords(match[1], +match[1]), 0, '.' + trailing);
+        }
+        
+        // Currency before the number: "€5", "$ 10"
+        match = core.match(/^([€$£])(\d[\d.,]*)$/);
+        if (match) {
+            const amount = this.parseNumber(match[2]);
+            if (amount !== null) return wrap(this.currencyToWords(amount, GERMAN_CURRENCIES[match[1]]));
+        }
+        
+        // Decimal number at the end of a sentence: "3,14."
+        match = core.match(/^([-−+]?\d[\d.]*,\d+)\.$/);
+        if (match && this.parseNumber(match[1]) !== null) {
+            return wrap(this.plainNumberToWords(match[1], this.parseNumber(match[1])), 0, '.' + trailing);
+        }
+        
+        // Numbers, possibly glued to a unit or currency: "5km", "20%", "12,99€"
+        match = core.match(/^([-−+]?\d[\d.,]*?)(,-|,–)?([^\d.,].*)?$/);
+        if (match) {
+            const amount = this.parseNumber(match[1]);
+            if (amount !== null) {
+                let suffix = (match[3] || '').toLowerCase();
+                let consumed = 0;
+                let keepTrailing = trailing;
                 
-                // Select first voice by default
-                if (index === 0) {
-                    option.selected = true;
-                    this.selectedVoice = voice;
+                // Glued unit at the end of a sentence: "5km."
+                if (suffix && !GERMAN_UNITS[suffix] && !GERMAN_CURRENCIES[suffix]) {
+                    const glued = this.splitSentencePeriod({ core: suffix, trailing });
+                    if (GERMAN_UNITS[glued.key] || GERMAN_CURRENCIES[glued.key]) {
+                        suffix = glued.key;
+                        keepTrailing = glued.trailing;
+                    }
                 }
                 
-                this.voiceSelect.appendChild(option);
-            });
-            
-            this.voiceInfo.textContent = `${germanVoices.length} deutsche Stimme(n) verfügbar`;
-            
-            // Log all voices for debugging
-            console.log('Available German voices:');
-            germanVoices.forEach(v => {
-                console.log(`- ${v.name} (${v.lang})`);
-            });
+                // Unit or currency as separate token: "5 km", "12,99 €"
+                if (!suffix && nextWord && !trailing && (GERMAN_UNITS[nextWord.key] || GERMAN_CURRENCIES[nextWord.key])) {
+                    suffix = nextWord.key;
+                    consumed = 1;
+                    keepTrailing = nextWord.trailing;
+                }
+                
+                if (GERMAN_CURRENCIES[suffix]) {
+                    return wrap(this.currencyToWords(amount, GERMAN_CURRENCIES[suffix]), consumed, keepTrailing);
+                }
+                if (GERMAN_UNITS[suffix]) {
+                    return wrap(this.unitToWords(amount, match[1], GERMAN_UNITS[suffix]), consumed, keepTrailing);
+                }
+                // "1" before a noun is the article-like "ein"/"eine", not "eins"
+                const noun = next && next.core.replace(/\.$/, '');
+                if (!suffix && match[1] === '1' && !trailing && noun && /^\p{Lu}\p{Ll}+$/u.test(noun) &&
+                    !GERMAN_ARTICLES.includes(noun.toLowerCase())) {
+                    const feminine = GERMAN_FEMININE_ENDINGS.some(ending => noun.endsWith(ending));
+                    return wrap(feminine ? 'eine' : 'ein');
+                }
+                if (!suffix) {
+                    return wrap(this.plainNumberToWords(match[1], amount));
+                }
+            }
         }
+        
+        return { spoken: token, consumed: 0 };
     }
     
-    attachEventListeners() {
-        // Top bar buttons
-        this.btnClipboard.addEventListener('click', () => this.loadFromClipboard());
-        this.btnSave.addEventListener('click', () => this.saveAsText());
-        this.btnPrepare.addEventListener('click', () => this.prepareText());
-        this.btnExport.addEventListener('click', () => this.exportData());
-        this.btnImport.addEventListener('click', () => this.importData());
-        this.btnDelete.addEventListener('click', () => this.deleteAll());
+    // Separates surrounding quotes, brackets and sentence punctuation from the word.
+    // A trailing period stays on the core so abbreviations and ordinals can be recognised.
+    splitPunctuation(token) {
+        const match = token.match(/^([("„“‚‘'»«\[{]*)(.*?)([)"“”‘’'»«\]},;:!?…]*)$/);
+        let core = match[2];
+        let trailing = match[3];
         
-        // Control bar buttons
-        this.btnMenu.addEventListener('click', () => this.showMenu());
+        // "Ende." inside a closing quote: „Ende.“ → core "Ende.", trailing "“"
+        // but an ellipsis "..." is punctuation, not part of the word
+        const dots = core.match(/\.{2,}$/);
+        if (dots) {
+            core = core.slice(0, -dots[0].length);
+            trailing = dots[0] + trailing;
+        }
         
-        // Hören button now works as Play/Resume
-        this.btnHoren.addEventListener('click', () => this.playOrResume());
+        return { leading: match[1], core, trailing };
+    }
+    
+    // Lookup key of a word after a number: a period that is not part of a known
+    // unit ("Std.") ends the sentence and moves to the trailing punctuation
+    splitSentencePeriod(part) {
+        const key = part.core.toLowerCase();
+        if (GERMAN_UNITS[key] || !key.endsWith('.')) {
+            return { key, trailing: part.trailing };
+        }
+        return { key: key.slice(0, -1), trailing: '.' + part.trailing };
+    }
+    
+    // Parses "1.000", "3,5", "-7" and "1.234,56" into a number; null if not numeric
+    parseNumber(text) {
+        let clean = text.replace('−', '-');
+        if (/^[-+]?\d{1,3}(\.\d{3})+(,\d+)?$/.test(clean)) {
+            clean = clean.replace(/\./g, '');
+        }
+        if (!/^[-+]?\d+(,\d+)?$/.test(clean)) return null;
+        return parseFloat(clean.replace(',', '.'));
+    }
+    
+    // groupDecimals reads up to two decimal places as one number, as in
+    // measurements: "1,80" → "eins Komma achtzig"
+    plainNumberToWords(raw, amount, groupDecimals = false) {
+        const integer = Math.trunc(amount);
+        const isPlainYear = /^\d{4}$/.test(raw) && integer >= 1100 && integer < 2000;
         
-        // Separate Pause button
-        this.btnPause.addEventListener('click', () => this.pause());
+        let text = isPlainYear ? this.yearToWords(integer) : this.numberToWords(Math.abs(integer));
+        if (amount < 0) text = 'minus ' + text;
         
-        this.btnStop.addEventListener('click', () => this.stopReading());
-        this.btnBegin.addEventListener('click', () => this.jumpToSentenceStart());
-        this.btnPrev.addEventListener('click', () => this.previousWord());
-        this.btnNext.addEventListener('click', () => this.nextWord());
-        this.btnRepeat.addEventListener('click', () => this.repeatWord());
-        this.btnEnd.addEventListener('click', () => this.jumpToSentenceEnd());
-        this.btnClose.addEventListener('click', () => this.resetToStart());
+        // Decimal places are otherwise read digit by digit: "3,14" → "drei Komma eins vier"
+        const decimals = raw.match(/,(\d+)$/);
+        if (decimals && groupDecimals && /^[1-9]\d?$/.test(decimals[1])) {
+            text += ' Komma ' + this.numberToWords(+decimals[1]);
+        } else if (decimals) {
+            text += ' Komma ' + decimals[1].split('').map(d => NUMBER_WORDS[+d]).join(' ');
+        }
+        return text;
+    }
+    
+    currencyToWords(amount, currency) {
+        const [singular, plural, sub] = currency;
+        const units = Math.trunc(Math.abs(amount));
+        const cents = Math.round((Math.abs(amount) - units) * 100);
+        const sign = amount < 0 ? 'minus ' : '';
         
-        // Jump position input
-        this.jumpPositionInput.addEventListener('change', () => this.jumpToPosition());
-        this.jumpPositionInput.addEventListener('keypress', (e) => {
-            if (e.key === 'Enter') this.jumpToPosition();
-        });
+        if (units === 0 && cents > 0) {
+            return sign + this.numberToWords(cents) + ' ' + sub;
+        }
         
-        // File input
-        this.fileInput.addEventListener('change', (e) => this.handleFileImport(e));
+        let text = sign + (units === 1 ? 'ein' : this.numberToWords(units)) + ' ' + (units === 1 ? singular : plural);
+        if (cents > 0) text += ' ' + this.numberToWords(cents);
+        return text;
+    }
+    
+    unitToWords(amount, raw, unit) {
+        const [singular, plural, feminine] = unit;
+        if (amount === 1 && !raw.includes(',')) {
+            return (feminine ? 'eine ' : 'ein ') + singular;
+        }
+        return this.plainNumberToWords(raw, amount, true) + ' ' + plural;
+    }
+    
+    yearToWords(year) {
+        // 1100–1999 are read in hundreds: "neunzehnhundertneunundachtzig"
+        if (year >= 1100 && year < 2000) {
+            const rest = year % 100;
+            return this.numberToWords(Math.floor(year / 100)) + 'hundert' + (rest ? this.numberToWords(rest) : '');
+        }
+        return this.numberToWords(year);
+    }
+    
+    numberToWords(n) {
+        if (n < 0) return 'minus ' + this.numberToWords(-n);
+        if (n < 1000000) return this.below1000000(n);
         
-        // Text area - disable editing when prepared
-        this.textArea.addEventListener('input', () => {
-            if (this.isPrepared) {
-                this.isPrepared = false;
-                this.updateUI();
+        const parts = [];
+        const scales = [
+            [1000000000, 'Milliarde', 'Milliarden'],
+            [1000000, 'Million', 'Millionen']
+        ];
+        
+        for (const [size, singular, plural] of scales) {
+            const count = Math.floor(n / size);
+            if (count > 0) {
+                parts.push(count === 1 ? `eine ${singular}` : `${this.below1000000(count)} ${plural}`);
+                n %= size;
             }
-        });
+        }
+        if (n > 0) parts.push(this.below1000000(n));
+        return parts.join(' ');
+    }
+    
+    below1000000(n) {
+        if (n < 1000) return this.below1000(n);
+        const thousands = Math.floor(n / 1000);
+        const rest = n % 1000;
+        return this.compoundPrefix(thousands) + 'tausend' + (rest ? this.below1000(rest) : '');
+    }
+    
+    below1000(n) {
+        if (n < 100) return this.below100(n);
+        const hundreds = Math.floor(n / 100);
+        const rest = n % 100;
+        return this.compoundPrefix(hundreds) + 'hundert' + (rest ? this.below100(rest) : '');
+    }
+    
+    below100(n) {
+        if (n < 20) return NUMBER_WORDS[n];
+        const ones = n % 10;
+        const tens = TENS_WORDS[Math.floor(n / 10)];
+        return ones ? (ones === 1 ? 'ein' : NUMBER_WORDS[ones]) + 'und' + tens : tens;
+    }
+    
+    // "eins" becomes "ein" in front of hundert/tausend
+    compoundPrefix(n) {
+        const words = this.below1000(n);
+        return words.endsWith('eins') ? words.slice(0, -1) : words;
+    }
+    
+    ordinalToWords(n) {
+        const rest = n % 100;
+        if (n < 20) {
+            return ORDINAL_WORDS[n] || NUMBER_WORDS[n] + 'te';
+        }
+        // "hundertunderste", "zweitausendunddritte"
+        if (rest > 0 && rest < 20) {
+            return this.numberToWords(n - rest) + 'und' + this.ordinalToWords(rest);
+        }
+        return this.numberToWords(n) + 'ste';
+    }
+}
+
+// ===== SENTENCE SEGMENTATION =====
+// Splits prepared tokens into sentences. Knows German abbreviations,
+// ordinals, initials, ellipses, quoted speech and parentheses.
+
+// Abbreviations that usually close a list and may therefore end a sentence
+const SENTENCE_FINAL_ABBREVIATIONS = ['usw.', 'u.s.w.', 'etc.', 'usf.', 'ff.', 'v.chr.', 'n.chr.'];
+
+// Parentheses left open for this many tokens are treated as a typo
+const MAX_PARENTHESIS_TOKENS = 80;
+
+class SentenceSegmenter {
+    // Returns sentence ranges over token indices: [{ start, end }] with end inclusive.
+    // paragraphBreaks[i] is true when a blank line follows token i.
+    segment(tokens, paragraphBreaks = []) {
+        const sentences = [];
+        let start = 0;
+        let depth = 0;
         
-        // Settings Modal
-        this.closeSettingsBtn.addEventListener('click', () => this.closeSettings());
-        this.settingsModal.addEventListener('click', (e) => {
-            if (e.target === this.settingsModal) {
-                this.closeSettings();
+        for (let i = 0; i < tokens.length; i++) {
+            const token = tokens[i];
+            depth += (token.match(/[(\[]/g) || []).length;
+            depth = Math.max(0, depth - (token.match(/[)\]]/g) || []).length);
+            
+            if (depth > 0 && i - start > MAX_PARENTHESIS_TOKENS) {
+                depth = 0;
             }
-        });
-        this.speedSlider.addEventListener('input', (e) => {
-            this.speechRate = parseFloat(e.target.value);
-            this.speedValue.textContent = this.speechRate.toFixed(1);
-        });
+            
+            const isLast = i === tokens.length - 1;
+            if (isLast || paragraphBreaks[i] || (depth === 0 && this.isSentenceEnd(tokens, i))) {
+                sentences.push({ start, end: i });
+                start = i + 1;
+                depth = 0;
+            }
+        }
         
-        this.fontSizeSlider.addEventListener('input', (e) => {
-            this.fontSize = parseInt(e.target.value);
-            this.fontSizeValue.textContent = this.fontSize;
-            this.textArea.style.fontSize = this.fontSize + 'px';
+        return sentences;
+    }
+    
+    isSentenceEnd(tokens, i) {
+        // Look through closing quotes and brackets: „Ende.“ or (siehe oben.)
+        const core = tokens[i].replace(/[)"“”‘’'»«\]]+$/, '');
+        if (!/[.!?…]$/.test(core)) return false;
+        
+        // A lowercase continuation never starts a new sentence: „Komm!“ rief er
+        // (a language marker like "[en]" does)
+        const next = tokens[i + 1];
+        if (next && !LANGUAGE_MARKER.test(next) && /^[("„“‚‘'»«\[]*\p{Ll}/u.test(next)) return false;
+        
+        // Exclamation, question mark and ellipsis
+        if (!core.endsWith('.') || /\.\.$/.test(core)) return true;
+        
+        const word = core.replace(/^[("„“‚‘'»«\[{]+/, '');
+        const lower = word.toLowerCase();
+        
+        if (SENTENCE_FINAL_ABBREVIATIONS.includes(lower)) return true;
+        if (GERMAN_ABBREVIATIONS[lower] || GERMAN_SPLIT_ABBREVIATIONS[lower]) return false;
+        if (this.isSplitAbbreviationEnd(tokens, i)) return false;
+        
+        // Initials ("J. R. R. Tolkien") and dotted abbreviations ("e.V.")
+        if (/^\p{L}\.$/u.test(word) || /^\p{L}(\.\p{L})+\.$/u.test(word)) return false;
+        
+        // Ordinals and dates without year: "3. Oktober", "3.10. war"
+        if (/^\d{1,4}\.$/.test(word) && isOrdinalNumber(this.previousWord(tokens, i), tokens[i + 1])) return false;
+        if (/^\d{1,2}\.\d{1,2}\.$/.test(word)) return false;
+        
+        return true;
+    }
+    
+    previousWord(tokens, i) {
+        return i > 0 ? tokens[i - 1].replace(/^[("„“‚‘'»«\[{]+|[.,;:!?…)"“”‘’'»«\]}]+$/g, '').toLowerCase() : '';
+    }
+    
+    // Second half of an abbreviation written with a space: "B." in "z. B."
+    isSplitAbbreviationEnd(tokens, i) {
+        if (i === 0) return false;
+        const first = tokens[i - 1].replace(/^[("„“‚‘'»«\[{]+/, '').toLowerCase();
+        const second = tokens[i].replace(/[)"“”‘’'»«\]]+$/, '').toLowerCase();
+        return !!(GERMAN_SPLIT_ABBREVIATIONS[first] && GERMAN_SPLIT_ABBREVIATIONS[first][second]);
+    }
+}
+
+// ===== DOCUMENT STRUCTURE =====
+// Paragraphs, headings and chapters of a prepared text. A heading is a short
+// line without closing punctuation that starts a paragraph and stands on its own.
+
+const HEADING_MAX_WORDS = 12;
+const HEADING_MAX_CHARS = 80;
+const CHAPTER_HEADING = /^(kapitel|teil|buch|prolog|epilog|vorwort|nachwort|einleitung|chapter|part)\b/i;
+
+// Silence after a paragraph and around a heading during playback
+const PARAGRAPH_PAUSE_MS = 400;
+const HEADING_PAUSE_MS = 800;
+
+class DocumentStructure {
+    // tokens: { text, paragraphBreak, lineBreak }. Returns paragraphs
+    // { start, end, heading } over token indices; heading is 0, 1 (chapter) or 2 (section)
+    analyze(tokens) {
+        const lines = [];
+        let start = 0;
+        tokens.forEach((t, i) => {
+            if (t.lineBreak || t.paragraphBreak || i === tokens.length - 1) {
+                lines.push({ start, end: i });
+                start = i + 1;
+            }
         });
         
-        // Voice selection dropdown
-        this.voiceSelect.addEventListener('change', (e) => {
-            const voiceName = e.target.value;
-            const voices = this.synth.getVoices();
-            this.selectedVoice = voices.find(v => v.name === voiceName);
+        const paragraphs = [];
+        let paragraphStart = 0;
+        let afterHeading = false;
+        
+        lines.forEach((line, l) => {
+            const startsBlock = l === 0 || afterHeading || tokens[lines[l - 1].end].paragraphBreak;
+            const endsBlock = l === lines.length - 1 || tokens[line.end].paragraphBreak;
+            
+            // A section heading followed by another short line is more likely a verse or
+            // a list item; chapter headings may carry a title line ("Kapitel 1⏎Der Anfang")
+            let level = startsBlock ? this.headingLevel(tokens, line) : 0;
+            if (level === 2 && !endsBlock && this.headingLevel(tokens, lines[l + 1])) {
+                level = 0;
+            }
+            afterHeading = level > 0;
             
-            if (this.selectedVoice) {
-                this.voiceInfo.textContent = `✓ ${this.selectedVoice.name} ausgewählt`;
-                console.log('Voice selected:', this.selectedVoice.name);
+            if (level) {
+                if (paragraphStart < line.start) {
+                    paragraphs.push({ start: paragraphStart, end: line.start - 1, heading: 0 });
+                }
+                paragraphs.push({ start: line.start, end: line.end, heading: level });
+                paragraphStart = line.end + 1;
+            } else if (endsBlock) {
+                paragraphs.push({ start: paragraphStart, end: line.end, heading: 0 });
+                paragraphStart = line.end + 1;
             }
         });
+        
+        return paragraphs;
     }
     
-    // ===== TEXT HANDLING =====
-    
-    async loadFromClipboard() {
-        try {
-            const text = await navigator.clipboard.readText();
-            if (text.trim()) {
-                this.textArea.textContent = text;
-                this.showMessage('✓ Text aus Clipboard geladen');
-            } else {
-                this.showMessage('⚠ Clipboard ist leer');
-            }
-        } catch (err) {
-            this.showMessage('✗ Clipboard-Zugriff verweigert. Bitte Text manuell einfügen.');
-            console.error('Clipboard error:', err);
+    headingLevel(tokens, line) {
+        const words = tokens.slice(line.start, line.end + 1).map(t => t.text);
+        const text = words.join(' ');
+        
+        // Markdown that was not cleaned up
+        if (/^#{1,6}$/.test(words[0]) && words.length > 1) {
+            return words[0].length === 1 ? 1 : 2;
         }
+        
+        if (words.length > HEADING_MAX_WORDS || text.length > HEADING_MAX_CHARS) return 0;
+        
+        // Numbered chapters: "3", "IV.", "2. Der Deich"
+        const numbered = /^(\d+|[IVXLC]+)\.?(\s|$)/.test(text);
+        if (/[.,;:!?…]["“”»«')\]]*$/.test(text) && !/^(\d+|[IVXLC]+)\.$/.test(text)) return 0;
+        if (!/^[\p{Lu}\d„"»'(]/u.test(text)) return 0;
+        
+        if (numbered || CHAPTER_HEADING.test(text)) return 1;
+        if (/\p{Lu}{2}/u.test(text) && text === text.toUpperCase()) return 1;
+        return 2;
     }
     
-    saveAsText() {
-        const text = this.textArea.textContent;
+    // Chapters start at the headings of the highest level; text before the
+    // first heading counts as a chapter of its own
+    chapters(paragraphs, wordCount) {
+        const headings = paragraphs.filter(p => p.heading);
+        if (!wordCount) return [];
+        if (!headings.length) return [{ start: 0, end: wordCount - 1 }];
+        
+        const level = Math.min(...headings.map(p => p.heading));
+        const starts = headings.filter(p => p.heading === level).map(p => p.start);
+        if (starts[0] !== 0) starts.unshift(0);
+        
+        return starts.map((start, i) => ({
+            start,
+            end: i + 1 < starts.length ? starts[i + 1] - 1 : wordCount - 1
+        }));
+    }
+}
+
+// ===== LANGUAGE DETECTION =====
+// Offline detection from frequent function words and typical letters.
+// "[en]" in the text sets the language up to the end of the paragraph, "[auto]" detects again.
+
+const DEFAULT_LANGUAGE = 'de';
+
+const LANGUAGE_STOPWORDS = {
+    de: 'der die das und ist nicht ich du er sie es wir ihr mit auf für von zu den dem des ein eine einer auch sich dass wie aber oder wenn noch nur sind war hat haben wird',
+    en: 'the and is are was were of to in that it you he she they with for on not this be have has had but or what which would there their from by at an',
+    fr: 'le la les et est sont des une un du de que qui dans pour pas ne vous nous il elle ils avec sur ce cette mais ou au aux je tu',
+    es: 'el la los las y es son de que en un una por para con no se lo como pero su sus al del muy está yo',
+    it: 'il lo la gli le e è sono di che in un una per con non si come ma del della al ho anche questo',
+    nl: 'de het een en is zijn van dat in niet op te met voor ik je hij zij wij maar ook als bij er naar'
+};
+
+// Letters that hint at a language; each occurrence in a word adds to its score
+const LANGUAGE_LETTERS = {
+    de: /[äöüß]/,
+    fr: /[èêëçœàâî]/,
+    es: /[ñ¿¡]/,
+    it: /[ìòù]/
+};
+
+// A sentence needs this score and a clear lead, otherwise the paragraph decides
+const LANGUAGE_MIN_SCORE = 2;
+
+// BCP 47 tags for utterances when no voice of the language is installed
+const LANGUAGE_LOCALES = {
+    de: 'de-DE',
+    en: 'en-US',
+    fr: 'fr-FR',
+    es: 'es-ES',
+    it: 'it-IT',
+    nl: 'nl-NL'
+};
+
+const LANGUAGE_MARKER = /^\[([a-z]{2,3}|auto)\]$/i;
+
+// Primary subtag: "en-GB" → "en"
+function languageOf(tag) {
+    return (tag || '').split(/[-_]/)[0].toLowerCase();
+}
+
+function languageName(code) {
+    try {
+        return new Intl.DisplayNames(['de'], { type: 'language' }).of(code);
+    } catch (err) {
+        return code;
+    }
+}
+
+class LanguageDetector {
+    constructor() {
+        this.stopwords = {};
+        Object.entries(LANGUAGE_STOPWORDS).forEach(([code, words]) => {
+            this.stopwords[code] = new Set(words.split(' '));
+        });
+    }
+    
+    // Language code of a list of words, or null when the evidence is too weak
+    detect(words) {
+        const scores = {};
+        Object.keys(this.stopwords).forEach(code => { scores[code] = 0; });
+        
+        words.forEach(word => {
+            const lower = word.toLowerCase().replace(/^[^\p{L}]+|[^\p{L}]+$/gu, '');
+            if (!lower) return;
+            
+            Object.keys(this.stopwords).forEach(code => {
+                if (this.stopwords[code].has(lower)) scores[code]++;
+            });
+            Object.entries(LANGUAGE_LETTERS).forEach(([code, letters]) => {
+                if (letters.test(lower)) scores[code]++;
+            });
+        });
+        
+        const [best, second] = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+        if (best[1] < LANGUAGE_MIN_SCORE || best[1] === second[1]) return null;
+        return best[0];
+    }
+    
+    // Returns a language code for every sentence. Sentences without clear
+    // evidence take the language of their paragraph, then the previous one.
+    detectSentences(tokens, sentences, paragraphBreaks) {
+        const languages = [];
+        let paragraphLanguage = DEFAULT_LANGUAGE;
+        let first = 0;
+        
+        while (first < sentences.length) {
+            // Sentences up to the next paragraph break
+            let last = first;
+            while (last < sentences.length - 1 && !paragraphBreaks[sentences[last].end]) last++;
+            
+            const paragraphTokens = tokens.slice(sentences[first].start, sentences[last].end + 1);
+            paragraphLanguage = this.detect(paragraphTokens) || paragraphLanguage;
+            
+            let override = null;
+            for (let s = first; s <= last; s++) {
+                const sentenceTokens = tokens.slice(sentences[s].start, sentences[s].end + 1);
+                const marker = sentenceTokens.map(t => t.match(LANGUAGE_MARKER)).find(Boolean);
+                if (marker) {
+                    override = marker[1].toLowerCase() === 'auto' ? null : marker[1].toLowerCase();
+                }
+                languages.push(override || this.detect(sentenceTokens) || paragraphLanguage);
+            }
+            
+            first = last + 1;
+        }
+        
+        return languages;
+    }
+}
+
+// ===== SYLLABLES =====
+// German reading syllables from spelling rules, without a dictionary: a single
+// consonant starts the next syllable (Scha-fe), of several only the last one
+// does (Kin-der, Fens-ter). Letters that stand for one sound stay together.
+
+const SYLLABLE_VOWELS = 'aeiouäöüyáàâéèêíìîóòôúùû'; // accented ones for loanwords (Ca-fé)
+const SYLLABLE_VOWEL_GROUPS = ['aa', 'ai', 'au', 'ay', 'äu', 'ee', 'ei', 'eu', 'ey', 'ie', 'oo'];
+const SYLLABLE_CONSONANT_GROUPS = ['sch', 'ch', 'ck', 'ph', 'th', 'qu'];
+
+// Moved together when three or more consonants meet (Son-nen-blu-me, Aus-strah-lung)
+const SYLLABLE_ONSETS = ['bl', 'br', 'dr', 'fl', 'fr', 'gl', 'gr', 'kl', 'kr', 'pl', 'pr', 'tr',
+    'schl', 'schm', 'schn', 'schr', 'schw', 'spr', 'str'];
+
+// Prefixes that keep their syllable before a vowel (ver-ändern, be-obachten).
+// "er" is not among them: before a vowel it is as often part of the stem
+// (Erika, Eremit), so "Erinnerung" follows the plain rules (E-rin-ne-rung).
+const SYLLABLE_PREFIX = /^(?:ver|zer|ent|emp|aus|auf|un(?!i)|[bg]e(?=[aoäöü]))(?=[aeiouäöü])/;
+
+// Slower playback moves a second highlight through the syllables of the spoken word
+const SYLLABLE_STEP_MAX_RATE = 0.7;
+
+class SyllableSegmenter {
+    // Syllables of a token; punctuation stays with its neighbour, so the parts
+    // joined give the token again
+    split(text) {
+        const parts = [];
+        let pending = '';
+        
+        text.split(/(\p{L}+)/u).forEach((piece, i) => {
+            // Even pieces lie between the letter runs
+            if (i % 2 === 0) {
+                if (parts.length) {
+                    parts[parts.length - 1] += piece;
+                } else {
+                    pending += piece;
+                }
+                return;
+            }
+            
+            const syllables = this.splitLetters(piece);
+            syllables[0] = pending + syllables[0];
+            pending = '';
+            parts.push(...syllables);
+        });
+        
+        return parts.length ? parts : [text];
+    }
+    
+    splitLetters(letters) {
+        const lower = letters.toLowerCase();
+        if (lower.length !== letters.length) return [letters];
+        
+        const prefix = lower.match(SYLLABLE_PREFIX);
+        if (prefix && letters.length - prefix[0].length >= 3) {
+            const cut = prefix[0].length;
+            return [letters.slice(0, cut), ...this.splitLetters(letters.slice(cut))];
+        }
+        
+        const units = this.units(lower);
+        const cuts = [];
+        let previous = -1;
+        
+        units.forEach((unit, index) => {
+            if (!unit.vowel) return;
+            if (previous >= 0) {
+                cuts.push(this.cutBefore(units.slice(previous + 1, index), unit));
+            }
+            previous = index;
+        });
+        
+        const parts = [];
+        let start = 0;
+        cuts.forEach(cut => {
+            parts.push(letters.slice(start, cut));
+            start = cut;
+        });
+        parts.push(letters.slice(start));
+        return parts;
+    }
+    
+    // Sounds of a lower-case word: { text, start, vowel }
+    units(lower) {
+        const units = [];
+        let i = 0;
+        
+        while (i < lower.length) {
+            // "y" before a vowel is a consonant (Yoga)
+            const vowel = SYLLABLE_VOWELS.includes(lower[i]) &&
+                !(lower[i] === 'y' && SYLLABLE_VOWELS.includes(lower[i + 1] || ''));
+            const groups = vowel ? SYLLABLE_VOWEL_GROUPS : SYLLABLE_CONSONANT_GROUPS;
+            const text = groups.find(group => lower.startsWith(group, i)) || lower[i];
+            units.push({ text, start: i, vowel });
+            i += text.length;
+        }
+        
+        return units;
+    }
+    
+    // Where the syllable before a vowel ends, given the consonants in between
+    cutBefore(consonants, vowel) {
+        if (!consonants.length) return vowel.start;
+        
+        for (let take = consonants.length - 1; take >= 2; take--) {
+            const onset = consonants.slice(-take).map(c => c.text).join('');
+            if (SYLLABLE_ONSETS.includes(onset)) {
+                return consonants[consonants.length - take].start;
+            }
+        }
+        
+        return consonants[consonants.length - 1].start;
+    }
+}
+
+// ===== TEXT STATISTICS =====
+// Readability of German texts: Flesch reading ease as adapted by Amstad
+// (180 − words per sentence − 58.5 × syllables per word) and LIX (words per
+// sentence + percentage of words with more than six letters).
+
+const LONG_WORD_LETTERS = 7;
+const HARDEST_SENTENCES = 5;
+
+// Lower bounds of the usual grades, from easy to hard
+const FLESCH_AMSTAD_LEVELS = [
+    [90, 'sehr leicht'], [80, 'leicht'], [70, 'mittelleicht'], [60, 'mittel'],
+    [50, 'mittelschwer'], [30, 'schwer'], [-Infinity, 'sehr schwer']
+];
+const LIX_LEVELS = [
+    [60, 'sehr schwer'], [50, 'schwer'], [40, 'mittel'], [30, 'leicht'], [-Infinity, 'sehr leicht']
+];
+
+class TextStatistics {
+    constructor(syllabifier) {
+        this.syllabifier = syllabifier;
+    }
+    
+    // Counts over prepared words and sentence ranges; tokens without letters
+    // (numbers, dashes) are not counted as words
+    analyze(words, sentences) {
+        const measured = sentences.map(sentence => this.measure(words, sentence)).filter(s => s.words);
+        const sum = key => measured.reduce((total, s) => total + s[key], 0);
+        const wordCount = sum('words');
+        
+        if (!wordCount) return null;
+        
+        const wordsPerSentence = wordCount / measured.length;
+        const syllablesPerWord = sum('syllables') / wordCount;
+        const longWordShare = sum('longWords') / wordCount * 100;
+        const fleschAmstad = Math.max(0, Math.min(100, 180 - wordsPerSentence - 58.5 * syllablesPerWord));
+        const lix = wordsPerSentence + longWordShare;
+        
+        return {
+            sentences: measured.length,
+            words: wordCount,
+            wordsPerSentence,
+            lettersPerWord: sum('letters') / wordCount,
+            syllablesPerWord,
+            longWordShare,
+            fleschAmstad,
+            fleschAmstadLevel: this.level(FLESCH_AMSTAD_LEVELS, fleschAmstad),
+            lix,
+            lixLevel: this.level(LIX_LEVELS, lix),
+            // LIX of the single sentence: long sentences full of long words first
+            hardest: measured.slice().sort((a, b) => b.lix - a.lix).slice(0, HARDEST_SENTENCES)
+        };
+    }
+    
+    measure(words, sentence) {
+        const result = { start: sentence.start, end: sentence.end, words: 0, letters: 0, syllables: 0, longWords: 0 };
+        
+        for (let i = sentence.start; i <= sentence.end; i++) {
+            const letters = (words[i].text.match(/\p{L}/gu) || []).length;
+            if (!letters) continue;
+            
+            result.words++;
+            result.letters += letters;
+            result.syllables += this.syllabifier.split(words[i].text).length;
+            if (letters >= LONG_WORD_LETTERS) result.longWords++;
+        }
+        
+        result.lix = result.words ? result.words + result.longWords / result.words * 100 : 0;
+        return result;
+    }
+    
+    level(levels, score) {
+        return levels.find(([bound]) => score >= bound)[1];
+    }
+}
+
+// Playing time as m:ss or h:mm:ss
+function formatDuration(seconds) {
+    const total = Math.round(seconds);
+    const h = Math.floor(total / 3600);
+    const m = Math.floor(total % 3600 / 60);
+    const s = String(total % 60).padStart(2, '0');
+    return h ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+}
+
+// ===== HIGHLIGHTING =====
+// Marks text ranges in the text area by character offset (textContent) without
+// rebuilding the DOM. Uses the CSS Custom Highlight API; browsers without it
+// get a persistent layout with one span per word, created once per preparation.
+
+class WordHighlighter {
+    constructor(container) {
+        this.container = container;
+        this.supported = typeof CSS !== 'undefined' && !!CSS.highlights && typeof Highlight === 'function';
+        this.words = [];
+        this.textNodes = []; // { node, start } in document order
+        this.spans = null; // Fallback: one span per word
+        this.layers = {}; // Layer name → Highlight (API) or marked word indices (fallback)
+    }
+    
+    // Called after the text was prepared; words carry { start, end } offsets
+    attach(words) {
+        this.clearAll();
+        this.words = words;
+        
+        if (this.supported) {
+            this.indexTextNodes();
+        } else {
+            this.renderSpans();
+        }
+    }
+    
+    // Called when the text is edited and the offsets no longer match
+    detach() {
+        this.clearAll();
+        this.words = [];
+        this.textNodes = [];
+        this.spans = null;
+    }
+    
+    indexTextNodes() {
+        this.textNodes = [];
+        const walker = document.createTreeWalker(this.container, NodeFilter.SHOW_TEXT);
+        let offset = 0;
+        
+        while (walker.nextNode()) {
+            this.textNodes.push({ node: walker.currentNode, start: offset });
+            offset += walker.currentNode.length;
+        }
+    }
+    
+    renderSpans() {
+        const text = this.container.textContent;
+        const fragment = document.createDocumentFragment();
+        let position = 0;
+        
+        this.spans = this.words.map((word, index) => {
+            fragment.appendChild(document.createTextNode(text.slice(position, word.start)));
+            const span = document.createElement('span');
+            span.dataset.index = index;
+            span.textContent = text.slice(word.start, word.end);
+            fragment.appendChild(span);
+            position = word.end;
+            return span;
+        });
+        
+        fragment.appendChild(document.createTextNode(text.slice(position)));
+        this.container.replaceChildren(fragment);
+    }
+    
+    // DOM position of a textContent offset
+    locate(offset) {
+        let low = 0;
+        let high = this.textNodes.length - 1;
+        let found = 0;
+        
+        while (low <= high) {
+            const mid = (low + high) >> 1;
+            if (this.textNodes[mid].start <= offset) {
+                found = mid;
+                low = mid + 1;
+            } else {
+                high = mid - 1;
+            }
+        }
+        
+        const entry = this.textNodes[found];
+        return { node: entry.node, offset: Math.min(offset - entry.start, entry.node.length) };
+    }
+    
+    createRange(start, end) {
+        const range = document.createRange();
+        if (this.spans) {
+            const first = this.spans[this.wordIndexAt(start)];
+            const last = this.spans[this.wordIndexAt(Math.max(start, end - 1))];
+            range.setStartBefore(first);
+            range.setEndAfter(last);
+            return range;
+        }
+        
+        const from = this.locate(start);
+        const to = this.locate(end);
+        range.setStart(from.node, from.offset);
+        range.setEnd(to.node, to.offset);
+        return range;
+    }
+    
+    // textContent offset of a DOM position inside the container
+    offsetAt(node, offset) {
+        const range = document.createRange();
+        range.setStart(this.container, 0);
+        range.setEnd(node, offset);
+        return range.toString().length;
+    }
+    
+    // Last word starting at or before a character offset
+    wordIndexAt(offset) {
+        let low = 0;
+        let high = this.words.length - 1;
+        let found = 0;
+        
+        while (low <= high) {
+            const mid = (low + high) >> 1;
+            if (this.words[mid].start <= offset) {
+                found = mid;
+                low = mid + 1;
+            } else {
+                high = mid - 1;
+            }
+        }
+        
+        return found;
+    }
+    
+    // Replaces the marked ranges ({ start, end } offsets) of a named layer.
+    // Styled in CSS as ::highlight(quasselo-<layer>) or .highlight-<layer>.
+    set(layer, ranges) {
+        this.clear(layer);
+        if (!this.words.length || !ranges.length) return;
+        
+        if (this.supported) {
+            let highlight = this.layers[layer];
+            if (!highlight) {
+                highlight = new Highlight();
+                CSS.highlights.set('quasselo-' + layer, highlight);
+                this.layers[layer] = highlight;
+            }
+            ranges.forEach(r => highlight.add(this.createRange(r.start, r.end)));
+            return;
+        }
+        
+        // Fallback marks whole words
+        const indices = new Set();
+        ranges.forEach(r => {
+            for (let i = this.wordIndexAt(r.start); i < this.words.length && this.words[i].start < r.end; i++) {
+                indices.add(i);
+            }
+        });
+        indices.forEach(i => this.spans[i].classList.add('highlight-' + layer));
+        this.layers[layer] = indices;
+    }
+    
+    clear(layer) {
+        const marked = this.layers[layer];
+        if (!marked) return;
+        
+        if (this.supported) {
+            marked.clear();
+        } else {
+            marked.forEach(i => this.spans && this.spans[i] && this.spans[i].classList.remove('highlight-' + layer));
+            delete this.layers[layer];
+        }
+    }
+    
+    clearAll() {
+        Object.keys(this.layers).forEach(layer => this.clear(layer));
+    }
+    
+    // Scrolls the text area only when the range left the visible middle part
+    scrollIntoView(start, end) {
+        const rect = this.createRange(start, end).getBoundingClientRect();
+        const box = this.container.getBoundingClientRect();
+        const margin = box.height * 0.2;
+        
+        if (rect.top < box.top + margin || rect.bottom > box.bottom - margin) {
+            this.container.scrollTo({
+                top: this.container.scrollTop + rect.top - box.top - box.height / 2,
+                behavior: 'smooth'
+            });
+        }
+    }
+}
+
+// ===== LIBRARY STORAGE =====
+// Every text the user has loaded is kept in IndexedDB together with its
+// reading position. Entries: { id, name, text, prepared, position, wordCount, createdAt, updatedAt }
+
+const LIBRARY_DB_NAME = 'quasselo';
+const LIBRARY_DB_VERSION = 1;
+const LIBRARY_STORE = 'texts';
+// Changes are written at most this often, so playback saves its position as it goes
+const LIBRARY_SAVE_DELAY_MS = 3000;
+
+class LibraryStore {
+    constructor() {
+        this.dbPromise = null;
+    }
+    
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                if (!('indexedDB' in window)) {
+                    reject(new Error('IndexedDB wird von diesem Browser nicht unterstützt'));
+                    return;
+                }
+                
+                const request = indexedDB.open(LIBRARY_DB_NAME, LIBRARY_DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(LIBRARY_STORE)) {
+                        const store = db.createObjectStore(LIBRARY_STORE, { keyPath: 'id' });
+                        store.createIndex('updatedAt', 'updatedAt');
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+    
+    // Runs a single request in its own transaction
+    async request(mode, action) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(LIBRARY_STORE, mode);
+            const request = action(transaction.objectStore(LIBRARY_STORE));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    
+    // All entries, most recently used first
+    async list() {
+        const entries = await this.request('readonly', store => store.getAll());
+        return entries.sort((a, b) => b.updatedAt - a.updatedAt);
+    }
+    
+    get(id) {
+        return this.request('readonly', store => store.get(id));
+    }
+    
+    put(entry) {
+        return this.request('readwrite', store => store.put(entry));
+    }
+    
+    delete(id) {
+        return this.request('readwrite', store => store.delete(id));
+    }
+    
+    createId() {
+        if (window.crypto && crypto.randomUUID) return crypto.randomUUID();
+        return Date.now().toString(36) + Math.random().toString(36).slice(2);
+    }
+}
+
+// ===== ZIP ARCHIVES =====
+// Minimal self-contained ZIP support for project bundles (and later e-books).
+// Writing uses the "stored" method; reading also inflates "deflate" entries
+// through the browser's DecompressionStream.
+
+let crc32Table = null;
+
+function crc32(bytes) {
+    if (!crc32Table) {
+        crc32Table = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crc32Table[n] = c >>> 0;
+        }
+    }
+    
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = crc32Table[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+class ZipWriter {
+    constructor() {
+        this.entries = [];
+    }
+    
+    addFile(name, content) {
+        const data = typeof content === 'string' ? new TextEncoder().encode(content) : content;
+        this.entries.push({ name: new TextEncoder().encode(name), data, crc: crc32(data) });
+    }
+    
+    toBlob() {
+        const parts = [];
+        const central = [];
+        let offset = 0;
+        
+        // DOS date/time of "now" for all entries
+        const now = new Date();
+        const time = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+        const date = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+        
+        this.entries.forEach(entry => {
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034b50, true);
+            local.setUint16(4, 20, true); // version needed
+            local.setUint16(6, 0x0800, true); // UTF-8 names
+            local.setUint16(8, 0, true); // stored
+            local.setUint16(10, time, true);
+            local.setUint16(12, date, true);
+            local.setUint32(14, entry.crc, true);
+            local.setUint32(18, entry.data.length, true);
+            local.setUint32(22, entry.data.length, true);
+            local.setUint16(26, entry.name.length, true);
+            local.setUint16(28, 0, true);
+            parts.push(local.buffer, entry.name, entry.data);
+            
+            const header = new DataView(new ArrayBuffer(46));
+            header.setUint32(0, 0x02014b50, true);
+            header.setUint16(4, 20, true); // version made by
+            header.setUint16(6, 20, true);
+            header.setUint16(8, 0x0800, true);
+            header.setUint16(10, 0, true);
+            header.setUint16(12, time, true);
+            header.setUint16(14, date, true);
+            header.setUint32(16, entry.crc, true);
+            header.setUint32(20, entry.data.length, true);
+            header.setUint32(24, entry.data.length, true);
+            header.setUint16(28, entry.name.length, true);
+            header.setUint32(42, offset, true);
+            central.push(header.buffer, entry.name);
+            
+            offset += 30 + entry.name.length + entry.data.length;
+        });
+        
+        const centralSize = central.reduce((sum, part) => sum + part.byteLength, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);
+        end.setUint16(8, this.entries.length, true);
+        end.setUint16(10, this.entries.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+        
+        return new Blob([...parts, ...central, end.buffer], { type: 'application/zip' });
+    }
+}
+
+class ZipReader {
+    // Throws when the data is not a readable ZIP archive
+    constructor(buffer) {
+        this.bytes = new Uint8Array(buffer);
+        this.view = new DataView(buffer);
+        this.entries = new Map();
+        this.readCentralDirectory();
+    }
+    
+    readCentralDirectory() {
+        // The end-of-central-directory record sits in the last 64 KB
+        let end = -1;
+        for (let i = this.bytes.length - 22; i >= Math.max(0, this.bytes.length - 65557); i--) {
+            if (this.view.getUint32(i, true) === 0x06054b50) {
+                end = i;
+                break;
+            }
+        }
+        if (end < 0) throw new Error('Die Datei ist kein gültiges ZIP-Archiv');
+        
+        const count = this.view.getUint16(end + 10, true);
+        let position = this.view.getUint32(end + 16, true);
+        const decoder = new TextDecoder();
+        
+        for (let i = 0; i < count; i++) {
+            if (position + 46 > this.bytes.length || this.view.getUint32(position, true) !== 0x02014b50) {
+                throw new Error('Das ZIP-Archiv ist beschädigt');
+            }
+            
+            const nameLength = this.view.getUint16(position + 28, true);
+            const extraLength = this.view.getUint16(position + 30, true);
+            const commentLength = this.view.getUint16(position + 32, true);
+            const name = decoder.decode(this.bytes.subarray(position + 46, position + 46 + nameLength));
+            
+            this.entries.set(name, {
+                method: this.view.getUint16(position + 10, true),
+                compressedSize: this.view.getUint32(position + 20, true),
+                localOffset: this.view.getUint32(position + 42, true)
+            });
+            
+            position += 46 + nameLength + extraLength + commentLength;
+        }
+    }
+    
+    has(name) {
+        return this.entries.has(name);
+    }
+    
+    names() {
+        return [...this.entries.keys()];
+    }
+    
+    async readBytes(name) {
+        const entry = this.entries.get(name);
+        if (!entry) throw new Error(`${name} fehlt im Archiv`);
+        
+        const local = entry.localOffset;
+        if (this.view.getUint32(local, true) !== 0x04034b50) {
+            throw new Error(`${name} ist im Archiv beschädigt`);
+        }
+        const start = local + 30 + this.view.getUint16(local + 26, true) + this.view.getUint16(local + 28, true);
+        const data = this.bytes.subarray(start, start + entry.compressedSize);
+        
+        if (entry.method === 0) return data;
+        if (entry.method !== 8) throw new Error(`${name}: Komprimierungsverfahren wird nicht unterstützt`);
+        if (typeof DecompressionStream !== 'function') {
+            throw new Error('Komprimierte ZIP-Dateien werden von diesem Browser nicht unterstützt');
+        }
+        
+        const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+    
+    async readText(name) {
+        return new TextDecoder().decode(await this.readBytes(name));
+    }
+}
+
+// ===== PROJECT BUNDLES =====
+// A .quasselo.zip holds manifest.json, text.txt, tokens.json and state.json.
+// Version 1 was a bare JSON file ({ name, text, words, version: '1.0' }).
+
+const BUNDLE_FORMAT = 'quasselo-bundle';
+const BUNDLE_VERSION = 2;
+const BUNDLE_EXTENSION = '.quasselo.zip';
+
+// ===== FILE IMPORT =====
+// Turns .txt, .md, .html, .epub, .srt and .vtt files into clean readable text.
+// Headings and chapters become paragraphs of their own (separated by blank lines).
+
+const IMPORT_EXTENSIONS = {
+    txt: 'text', text: 'text',
+    md: 'markdown', markdown: 'markdown',
+    html: 'html', htm: 'html', xhtml: 'html',
+    epub: 'epub',
+    srt: 'subtitles', vtt: 'subtitles'
+};
+
+// Block elements start a new paragraph when HTML is converted to text
+const HTML_BLOCK_TAGS = new Set([
+    'ADDRESS', 'ARTICLE', 'ASIDE', 'BLOCKQUOTE', 'DD', 'DIV', 'DL', 'DT', 'FIGCAPTION', 'FIGURE',
+    'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'HR', 'LI', 'MAIN', 'OL', 'P', 'PRE', 'SECTION', 'TABLE',
+    'TD', 'TH', 'TR', 'UL'
+]);
+const HTML_SKIPPED_TAGS = new Set([
+    'SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'NAV', 'FORM', 'BUTTON', 'SVG', 'IFRAME', 'HEAD'
+]);
+
+// A pause this long between subtitle cues starts a new paragraph
+const SUBTITLE_PARAGRAPH_GAP_S = 3;
+
+class DocumentImporter {
+    formatOf(filename) {
+        const extension = filename.toLowerCase().split('.').pop();
+        return IMPORT_EXTENSIONS[extension] || null;
+    }
+    
+    // Returns { name, text }
+    async read(file) {
+        const format = this.formatOf(file.name);
+        const bytes = new Uint8Array(await file.arrayBuffer());
+        const baseName = file.name.replace(/\.[^.]+$/, '');
+        
+        let result;
+        switch (format) {
+            case 'epub':
+                result = await this.readEpub(bytes.buffer);
+                break;
+            case 'html':
+                result = this.readHtml(this.decodeText(bytes));
+                break;
+            case 'markdown':
+                result = this.readMarkdown(this.decodeText(bytes));
+                break;
+            case 'subtitles':
+                result = { text: this.readSubtitles(this.decodeText(bytes)) };
+                break;
+            default:
+                result = { text: this.decodeText(bytes) };
+        }
+        
+        const text = this.tidy(result.text);
+        if (!text) throw new Error('Die Datei enthält keinen lesbaren Text');
+        return { name: result.title || baseName, text };
+    }
+    
+    // Byte order marks, then strict UTF-8, then Windows-1252 (covers ISO-8859-1)
+    decodeText(bytes) {
+        if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) {
+            return new TextDecoder('utf-8').decode(bytes.subarray(3));
+        }
+        if (bytes[0] === 0xFF && bytes[1] === 0xFE) {
+            return new TextDecoder('utf-16le').decode(bytes.subarray(2));
+        }
+        if (bytes[0] === 0xFE && bytes[1] === 0xFF) {
+            return new TextDecoder('utf-16be').decode(bytes.subarray(2));
+        }
+        
+        // UTF-16 without BOM: every second byte of Latin text is zero
+        const sample = bytes.subarray(0, 200);
+        const zeros = sample.filter((b, i) => i % 2 === 1 && b === 0).length;
+        if (sample.length > 10 && zeros > sample.length / 4) {
+            return new TextDecoder('utf-16le').decode(bytes);
+        }
+        
+        try {
+            return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+        } catch (err) {
+            return new TextDecoder('windows-1252').decode(bytes);
+        }
+    }
+    
+    // Unifies line breaks, trims lines and keeps at most one blank line
+    tidy(text) {
+        return text
+            .replace(/\r\n?/g, '\n')
+            .replace(/\u00A0/g, ' ')
+            .split('\n')
+            .map(line => line.replace(/[ \t]+/g, ' ').trim())
+            .join('\n')
+            .replace(/\n{3,}/g, '\n\n')
+            .trim();
+    }
+    
+    readHtml(html, contentType = 'text/html') {
+        const doc = new DOMParser().parseFromString(html, contentType);
+        const title = doc.querySelector('title');
+        const root = doc.querySelector('article') || doc.querySelector('main') || doc.body || doc.documentElement;
+        
+        return {
+            title: title && title.textContent.trim(),
+            text: this.htmlToText(root)
+        };
+    }
+    
+    htmlToText(root) {
+        const parts = [];
+        
+        const walk = (node) => {
+            if (node.nodeType === Node.TEXT_NODE) {
+                parts.push(node.data.replace(/\s+/g, ' '));
+                return;
+            }
+            if (node.nodeType !== Node.ELEMENT_NODE) return;
+            
+            const tag = node.tagName.toUpperCase();
+            if (HTML_SKIPPED_TAGS.has(tag)) return;
+            if (tag === 'BR') {
+                parts.push('\n');
+                return;
+            }
+            if (tag === 'IMG') {
+                if (node.getAttribute('alt')) parts.push(node.getAttribute('alt'));
+                return;
+            }
+            
+            const block = HTML_BLOCK_TAGS.has(tag);
+            if (block) parts.push('\n\n');
+            node.childNodes.forEach(walk);
+            if (block) parts.push('\n\n');
+        };
+        
+        walk(root);
+        return parts.join('');
+    }
+    
+    readMarkdown(markdown) {
+        let title = null;
+        const lines = [];
+        let inCodeBlock = false;
+        
+        markdown.replace(/\r\n?/g, '\n').split('\n').forEach(line => {
+            if (/^\s*(```|~~~)/.test(line)) {
+                inCodeBlock = !inCodeBlock;
+                return;
+            }
+            if (inCodeBlock) {
+                lines.push(line);
+                return;
+            }
+            
+            // Headings become paragraphs of their own
+            const heading = line.match(/^\s*#{1,6}\s+(.*?)\s*#*\s*$/);
+            if (heading) {
+                if (!title) title = this.stripInlineMarkdown(heading[1]);
+                lines.push('', this.stripInlineMarkdown(heading[1]), '');
+                return;
+            }
+            
+            // Horizontal rules and table separators
+            if (/^\s*([-*_]\s*){3,}$/.test(line) || /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/.test(line)) {
+                lines.push('');
+                return;
+            }
+            
+            const content = line
+                .replace(/^\s*>+\s?/, '')
+                .replace(/^\s*([-*+]|\d+[.)])\s+(\[[ xX]\]\s+)?/, '')
+                .replace(/\|/g, ' ');
+            lines.push(this.stripInlineMarkdown(content));
+        });
+        
+        return { title, text: lines.join('\n') };
+    }
+    
+    stripInlineMarkdown(text) {
+        return text
+            .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+            .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+            .replace(/<[^>]+>/g, '')
+            // Emphasis hugs its text; "_" never marks emphasis inside a word (snake_case, 5 * 3 * 2)
+            .replace(/\*\*(?=\S)(.+?)(?<=\S)\*\*/g, '$1')
+            .replace(/(?<![\p{L}\p{N}_])__(?=\S)(.+?)(?<=\S)__(?![\p{L}\p{N}_])/gu, '$1')
+            .replace(/\*(?=\S)(.+?)(?<=\S)\*/g, '$1')
+            .replace(/(?<![\p{L}\p{N}_])_(?=\S)(.+?)(?<=\S)_(?![\p{L}\p{N}_])/gu, '$1')
+            .replace(/~~(.+?)~~/g, '$1')
+            .replace(/`([^`]+)`/g, '$1');
+    }
+    
+    // SubRip and WebVTT: cue text only, pauses between cues become paragraph breaks
+    readSubtitles(source) {
+        const blocks = source.replace(/\r\n?/g, '\n').split(/\n\s*\n/);
+        const paragraphs = [[]];
+        let lastEnd = null;
+        let lastLine = null;
+        
+        blocks.forEach(block => {
+            const lines = block.split('\n').filter(line => line.trim());
+            const timing = lines.findIndex(line => line.includes('-->'));
+            if (timing < 0) return; // header, NOTE, STYLE or cue number only
+            
+            const [start, end] = lines[timing].split('-->').map(t => this.parseTimestamp(t));
+            if (lastEnd !== null && start - lastEnd >= SUBTITLE_PARAGRAPH_GAP_S) {
+                paragraphs.push([]);
+            }
+            lastEnd = end;
+            
+            lines.slice(timing + 1).forEach(line => {
+                const clean = line
+                    .replace(/<[^>]+>/g, '')
+                    .replace(/\{\\[^}]*\}/g, '')
+                    .replace(/^-\s*/, '')
+                    .trim();
+                
+                // Rolling captions repeat the previous line
+                if (clean && clean !== lastLine) {
+                    paragraphs[paragraphs.length - 1].push(clean);
+                    lastLine = clean;
+                }
+            });
+        });
+        
+        return paragraphs.map(lines => lines.join(' ')).join('\n\n');
+    }
+    
+    // "00:01:02,500" or "01:02.500" → seconds
+    parseTimestamp(value) {
+        const match = value.trim().match(/^(?:(\d+):)?(\d{1,2}):(\d{2})[,.](\d{1,3})/);
+        if (!match) return 0;
+        return (+match[1] || 0) * 3600 + +match[2] * 60 + +match[3] + +match[4].padEnd(3, '0') / 1000;
+    }
+    
+    // EPUB: container.xml → package (OPF) → spine, read chapter by chapter
+    async readEpub(buffer) {
+        const zip = new ZipReader(buffer);
+        if (!zip.has('META-INF/container.xml')) {
+            throw new Error('Kein gültiges EPUB (container.xml fehlt)');
+        }
+        
+        const parser = new DOMParser();
+        const container = parser.parseFromString(await zip.readText('META-INF/container.xml'), 'application/xml');
+        const rootfile = container.querySelector('rootfile');
+        const packagePath = rootfile && rootfile.getAttribute('full-path');
+        if (!packagePath || !zip.has(packagePath)) {
+            throw new Error('Kein gültiges EPUB (Paketdatei fehlt)');
+        }
+        
+        const opf = parser.parseFromString(await zip.readText(packagePath), 'application/xml');
+        const titleElement = opf.getElementsByTagNameNS('*', 'title')[0];
+        
+        const manifest = new Map();
+        opf.querySelectorAll('manifest > item').forEach(item => {
+            manifest.set(item.getAttribute('id'), {
+                path: this.resolvePath(packagePath, item.getAttribute('href')),
+                type: item.getAttribute('media-type'),
+                properties: item.getAttribute('properties') || ''
+            });
+        });
+        
+        const chapters = [];
+        for (const itemref of opf.querySelectorAll('spine > itemref')) {
+            const item = manifest.get(itemref.getAttribute('idref'));
+            if (!item || itemref.getAttribute('linear') === 'no' || item.properties.includes('nav')) continue;
+            if (!zip.has(item.path)) continue;
+            
+            const type = item.type === 'application/xhtml+xml' ? 'application/xhtml+xml' : 'text/html';
+            let chapter;
+            try {
+                chapter = this.readHtml(await zip.readText(item.path), type);
+            } catch (err) {
+                // Some e-books contain XHTML that is not well-formed XML
+                chapter = this.readHtml(await zip.readText(item.path));
+            }
+            const text = this.tidy(chapter.text);
+            if (text) chapters.push(text);
+        }
+        
+        if (!chapters.length) throw new Error('Das EPUB enthält keine lesbaren Kapitel');
+        
+        return {
+            title: titleElement && titleElement.textContent.trim(),
+            text: chapters.join('\n\n')
+        };
+    }
+    
+    // Resolves an href relative to the file that references it (inside the archive)
+    resolvePath(base, href) {
+        const url = new URL(href, 'http://epub/' + base);
+        return decodeURIComponent(url.pathname.slice(1));
+    }
+}
+
+// ===== LOCAL SETTINGS =====
+// Small JSON values in localStorage; unavailable storage (private mode) falls back silently
+
+const STORAGE_PREFIX = 'quasselo.';
+
+function loadStoredJSON(key, fallback) {
+    try {
+        const value = localStorage.getItem(STORAGE_PREFIX + key);
+        return value === null ? fallback : JSON.parse(value);
+    } catch (err) {
+        console.warn('Could not read setting:', key, err);
+        return fallback;
+    }
+}
+
+function storeJSON(key, value) {
+    try {
+        localStorage.setItem(STORAGE_PREFIX + key, JSON.stringify(value));
+    } catch (err) {
+        console.warn('Could not store setting:', key, err);
+    }
+}
+
+// ===== TEXT CLEAN-UP =====
+// Rule-based clean-up for text pasted from PDFs and web pages, applied
+// before preparation. The user sees a before/after diff and accepts it.
+
+// Applied in this order; line-based rules come before lines are joined.
+// Rules that can remove real text (chapter numbers, repeated headings) are off by default.
+const CLEANUP_RULES = [
+    { id: 'pageNumbers', label: 'Seitenzahlen entfernen (auch allein stehende Zahlen)', method: 'removePageNumbers', default: false },
+    { id: 'runningHeaders', label: 'Wiederkehrende Kopf-/Fußzeilen entfernen', method: 'removeRunningHeaders', default: false },
+    { id: 'markdown', label: 'Markdown-Zeichen entfernen', method: 'removeMarkdown', default: false },
+    { id: 'hyphenation', label: 'Trennstriche am Zeilenende zusammenfügen („Sand-⏎burg“)', method: 'joinHyphenation' },
+    { id: 'lineBreaks', label: 'Zeilenumbrüche innerhalb von Absätzen entfernen', method: 'joinLines' },
+    { id: 'footnotes', label: 'Fußnotenzeichen entfernen (¹, [1])', method: 'removeFootnoteMarkers' },
+    { id: 'urls', label: 'Internetadressen entfernen', method: 'removeUrls' },
+    { id: 'emoji', label: 'Emoji entfernen', method: 'removeEmoji' },
+    { id: 'spaces', label: 'Doppelte Leerzeichen und Leerzeilen entfernen', method: 'collapseSpaces' }
+];
+
+// Lines shorter than this that repeat at least RUNNING_HEADER_MIN_COUNT times are headers
+const RUNNING_HEADER_MAX_LENGTH = 80;
+const RUNNING_HEADER_MIN_LENGTH = 8;
+const RUNNING_HEADER_MIN_COUNT = 3;
+
+// Only text with one of these is treated as Markdown: headings, bold, links, code blocks
+const MARKDOWN_HINTS = /^ {0,3}#{1,6}\s|\*\*\S[^*\n]*\*\*|\[[^\]\n]+\]\([^)\n]+\)|^\s*```/m;
+
+// Lines shorter than this are kept on their own (headings, list items)
+const JOIN_LINES_MIN_LENGTH = 40;
+
+// The preview diff gives up beyond this many changed words
+const MAX_DIFF_EDITS = 2000;
+
+// Unchanged text around a change shown in the preview
+const DIFF_CONTEXT_CHARS = 60;
+
+// User-written patterns: "muster" or "/muster/flags"; always global
+function compileUserPattern(pattern) {
+    const literal = pattern.match(/^\/(.+)\/([imsuy]*)$/);
+    try {
+        return literal
+            ? new RegExp(literal[1], literal[2] + 'g')
+            : new RegExp(pattern, 'gu');
+    } catch (err) {
+        throw new Error(`Ungültiger regulärer Ausdruck: ${pattern}`);
+    }
+}
+
+class TextCleaner {
+    constructor(importer) {
+        this.importer = importer;
+    }
+    
+    // enabled: { ruleId: boolean }, customRules: [{ pattern, replacement, enabled }]
+    clean(text, enabled, customRules = []) {
+        let result = text.replace(/\r\n?/g, '\n');
+        
+        CLEANUP_RULES.forEach(rule => {
+            if (this.isEnabled(rule, enabled)) {
+                result = this[rule.method](result);
+            }
+        });
+        
+        customRules.forEach(rule => {
+            if (rule.enabled !== false) {
+                result = result.replace(compileUserPattern(rule.pattern), rule.replacement);
+            }
+        });
+        
+        return result;
+    }
+    
+    // Rules the user has not switched keep their default
+    isEnabled(rule, enabled) {
+        return typeof enabled[rule.id] === 'boolean' ? enabled[rule.id] : rule.default !== false;
+    }
+    
+    removePageNumbers(text) {
+        const pageNumber = /^\s*(?:[-–—]\s*)?(?:Seite\s+|S\.\s*)?\d{1,4}(?:\s*(?:\/|von)\s*\d{1,4})?(?:\s*[-–—])?\s*$/i;
+        return text.split('\n').map(line => pageNumber.test(line) ? '' : line).join('\n');
+    }
+    
+    // Headers and footers repeat on every page, often with a changing page number
+    removeRunningHeaders(text) {
+        const lines = text.split('\n');
+        const key = line => line.trim().replace(/\d+/g, '#');
+        const counts = new Map();
+        
+        // Chapter headings repeat with a changing number too ("Kapitel 1", "Kapitel 2")
+        lines.forEach(line => {
+            const trimmed = line.trim();
+            if (CHAPTER_HEADING.test(trimmed)) return;
+            if (trimmed.length >= RUNNING_HEADER_MIN_LENGTH && trimmed.length <= RUNNING_HEADER_MAX_LENGTH) {
+                counts.set(key(line), (counts.get(key(line)) || 0) + 1);
+            }
+        });
+        
+        return lines
+            .map(line => (counts.get(key(line)) || 0) >= RUNNING_HEADER_MIN_COUNT ? '' : line)
+            .join('\n');
+    }
+    
+    // List markers and emphasis only mean something in Markdown; elsewhere
+    // "3. Oktober" starts a sentence and "*" is a formula
+    removeMarkdown(text) {
+        return MARKDOWN_HINTS.test(text) ? this.importer.readMarkdown(text).text : text;
+    }
+    
+    joinHyphenation(text) {
+        return text.replace(/(\p{Ll})-[ \t]*\n[ \t]*(\p{Ll})/gu, '$1$2');
+    }
+    
+    joinLines(text) {
+        const lines = text.split('\n');
+        let result = lines[0];
+        
+        for (let i = 1; i < lines.length; i++) {
+            const previous = lines[i - 1].trim();
+            const line = lines[i].trim();
+            const join = previous && line && (
+                /^\p{Ll}/u.test(line) ||
+                (!/[.!?:…"“»]$/.test(previous) && previous.length >= JOIN_LINES_MIN_LENGTH)
+            );
+            result += (join ? ' ' : '\n') + lines[i];
+        }
+        
+        return result;
+    }
+    
+    // Only superscripts after a word or closing punctuation; units and
+    // exponents (m², cm³, x², 10³) keep theirs
+    removeFootnoteMarkers(text) {
+        return text
+            .replace(/(\p{L}{3,}|[.,;:!?)\]"“”»’])[¹²³⁰-⁹]+/gu, '$1')
+            .replace(/\[\d{1,3}\]/g, '');
+    }
+    
+    removeUrls(text) {
+        return text.replace(/\b(?:https?:\/\/|www\.)[^\s<>"]*[^\s<>".,;:!?)\]]/gi, '');
+    }
+    
+    removeEmoji(text) {
+        return text.replace(/[\p{Extended_Pictographic}\u{1F1E6}-\u{1F1FF}\u{1F3FB}-\u{1F3FF}️‍⃣]/gu, '');
+    }
+    
+    collapseSpaces(text) {
+        return text
+            .split('\n')
+            .map(line => line.replace(/[ \t]+/g, ' ').replace(/ ([,.;:!?])/g, '$1').trim())
+            .join('\n')
+            .replace(/\n{3,}/g, '\n\n')
+            .trim();
+    }
+    
+    // Word-level diff (Myers). Returns [{ type: 'same' | 'del' | 'ins', text }]
+    // or null when there are too many changes for a readable preview.
+    diff(before, after) {
+        const a = before.split(/(\s+)/).filter(Boolean);
+        const b = after.split(/(\s+)/).filter(Boolean);
+        
+        // Common prefix and suffix need no search
+        let prefix = 0;
+        while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) prefix++;
+        let suffix = 0;
+        while (suffix < a.length - prefix && suffix < b.length - prefix &&
+               a[a.length - 1 - suffix] === b[b.length - 1 - suffix]) suffix++;
+        
+        const middle = this.myersDiff(a.slice(prefix, a.length - suffix), b.slice(prefix, b.length - suffix));
+        if (!middle) return null;
+        
+        const ops = [
+            { type: 'same', text: a.slice(0, prefix).join('') },
+            ...middle,
+            { type: 'same', text: a.slice(a.length - suffix).join('') }
+        ];
+        
+        // Merge neighbours of the same type
+        return ops.reduce((merged, op) => {
+            const last = merged[merged.length - 1];
+            if (!op.text) return merged;
+            if (last && last.type === op.type) {
+                last.text += op.text;
+            } else {
+                merged.push({ ...op });
+            }
+            return merged;
+        }, []);
+    }
+    
+    myersDiff(a, b) {
+        const n = a.length;
+        const m = b.length;
+        const max = Math.min(n + m, MAX_DIFF_EDITS);
+        const offset = max + 1;
+        const trace = [];
+        let v = new Int32Array(2 * max + 3);
+        
+        for (let d = 0; d <= max; d++) {
+            trace.push(v.slice());
+            for (let k = -d; k <= d; k += 2) {
+                let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+                    ? v[offset + k + 1]
+                    : v[offset + k - 1] + 1;
+                let y = x - k;
+                while (x < n && y < m && a[x] === b[y]) {
+                    x++;
+                    y++;
+                }
+                v[offset + k] = x;
+                
+                if (x >= n && y >= m) {
+                    return this.backtrack(trace, a, b, offset);
+                }
+            }
+        }
+        
+        return null;
+    }
+    
+    backtrack(trace, a, b, offset) {
+        const ops = [];
+        let x = a.length;
+        let y = b.length;
+        
+        for (let d = trace.length - 1; d >= 0; d--) {
+            const v = trace[d];
+            const k = x - y;
+            const prevK = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])) ? k + 1 : k - 1;
+            const prevX = v[offset + prevK];
+            const prevY = prevX - prevK;
+            
+            while (x > prevX && y > prevY) {
+                ops.push({ type: 'same', text: a[x - 1] });
+                x--;
+                y--;
+            }
+            if (d > 0) {
+                if (x === prevX) {
+                    ops.push({ type: 'ins', text: b[y - 1] });
+                } else {
+                    ops.push({ type: 'del', text: a[x - 1] });
+                }
+            }
+            x = prevX;
+            y = prevY;
+        }
+        
+        return ops.reverse();
+    }
+}
+
+// ===== PRONUNCIATION LEXICON =====
+// User entries that replace a word's spoken form at speak time.
+// The displayed text and the prepared words stay unchanged.
+
+const LEXICON_FORMAT = 'quasselo-lexicon';
+const LEXICON_VERSION = 1;
+
+const LEXICON_TYPES = {
+    word: 'Wort',
+    case: 'Wort (Groß-/Kleinschreibung beachten)',
+    regex: 'Regulärer Ausdruck'
+};
+
+class PronunciationLexicon {
+    constructor(entries = []) {
+        this.setEntries(entries);
+    }
+    
+    // entries: [{ type: 'word' | 'case' | 'regex', match, replacement }]
+    setEntries(entries) {
+        this.entries = entries;
+        this.words = new Map();
+        this.caseWords = new Map();
+        this.patterns = [];
+        
+        entries.forEach(entry => {
+            if (entry.type === 'regex') {
+                try {
+                    this.patterns.push({ regex: compileUserPattern(entry.match), replacement: entry.replacement });
+                } catch (err) {
+                    console.warn('Lexicon entry skipped:', err.message);
+                }
+            } else if (entry.type === 'case') {
+                this.caseWords.set(entry.match, entry.replacement);
+            } else {
+                this.words.set(entry.match.toLowerCase(), entry.replacement);
+            }
+        });
+    }
+    
+    // Adds an entry or replaces the one with the same type and match
+    add(entry) {
+        const entries = this.entries.filter(e => !this.isSameEntry(e, entry));
+        entries.push(entry);
+        this.setEntries(entries);
+    }
+    
+    remove(entry) {
+        this.setEntries(this.entries.filter(e => e !== entry));
+    }
+    
+    isSameEntry(a, b) {
+        if (a.type !== b.type) return false;
+        return a.type === 'word' ? a.match.toLowerCase() === b.match.toLowerCase() : a.match === b.match;
+    }
+    
+    // Spoken form of a single word; punctuation around the word is kept.
+    // Words match first, regular expressions are applied afterwards.
+    apply(spoken) {
+        if (!spoken || !this.entries.length) return spoken;
+        
+        const [, leading, core, trailing] = spoken.match(/^([^\p{L}\p{N}]*)(.*?)([^\p{L}\p{N}]*)$/u);
+        let result = spoken;
+        
+        if (this.caseWords.has(core)) {
+            result = leading + this.caseWords.get(core) + trailing;
+        } else if (this.words.has(core.toLowerCase())) {
+            result = leading + this.words.get(core.toLowerCase()) + trailing;
+        }
+        
+        this.patterns.forEach(({ regex, replacement }) => {
+            result = result.replace(regex, replacement);
+        });
+        
+        return result;
+    }
+    
+    toFile() {
+        return {
+            format: LEXICON_FORMAT,
+            version: LEXICON_VERSION,
+            entries: this.entries
+        };
+    }
+    
+    // Validates an exported lexicon and returns its entries
+    parseFile(data) {
+        if (!data || data.format !== LEXICON_FORMAT || !Array.isArray(data.entries)) {
+            throw new Error('Keine Quasselo-Aussprachedatei');
+        }
+        if (data.version > LEXICON_VERSION) {
+            throw new Error(`Aussprachedatei-Version ${data.version} wird noch nicht unterstützt`);
+        }
+        
+        return data.entries.filter(entry =>
+            entry && LEXICON_TYPES[entry.type] &&
+            typeof entry.match === 'string' && entry.match &&
+            typeof entry.replacement === 'string'
+        );
+    }
+}
+
+// ===== BOOKMARKS =====
+
+// Words remembered on each side of a bookmarked word
+const BOOKMARK_CONTEXT_WORDS = 3;
+// Moving this many characters away costs as much as one matching neighbour
+const BOOKMARK_DISTANCE_CHARS = 2000;
+
+// Finds bookmarked words again after the text was edited and prepared anew.
+// An anchor keeps the word, its neighbours and its character offset; the word
+// with the most matches near the old offset wins.
+class BookmarkAnchors {
+    // Lower case without surrounding punctuation
+    key(word) {
+        return word.text.toLowerCase().replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '');
+    }
+    
+    capture(words, index) {
+        const keys = list => list.map(word => this.key(word));
+        return {
+            word: this.key(words[index]),
+            before: keys(words.slice(Math.max(0, index - BOOKMARK_CONTEXT_WORDS), index)),
+            after: keys(words.slice(index + 1, index + 1 + BOOKMARK_CONTEXT_WORDS)),
+            offset: words[index].start
+        };
+    }
+    
+    // Best matching word index for each anchor
+    find(words, anchors) {
+        const keys = words.map(word => this.key(word));
+        
+        return anchors.map(anchor => {
+            let best = 0;
+            let bestScore = -Infinity;
+            
+            keys.forEach((key, index) => {
+                // The word itself counts double so a removed word leaves its neighbours
+                let score = key === anchor.word ? 2 : 0;
+                anchor.before.forEach((word, k) => {
+                    if (keys[index - anchor.before.length + k] === word) score++;
+                });
+                anchor.after.forEach((word, k) => {
+                    if (keys[index + 1 + k] === word) score++;
+                });
+                score -= Math.abs(words[index].start - anchor.offset) / BOOKMARK_DISTANCE_CHARS;
+                
+                if (score > bestScore) {
+                    best = index;
+                    bestScore = score;
+                }
+            });
+            
+            return best;
+        });
+    }
+    
+    isValid(anchor) {
+        return !!anchor && typeof anchor.word === 'string' &&
+            Array.isArray(anchor.before) && Array.isArray(anchor.after) &&
+            Number.isInteger(anchor.offset);
+    }
+}
+
+// ===== KEYBOARD SHORTCUTS =====
+
+// Actions that can be bound to a key: method name → label
+const SHORTCUT_ACTIONS = {
+    togglePlayPause: 'Vorlesen / Pause',
+    stopReading: 'Stopp',
+    previousWord: 'Wort zurück',
+    nextWord: 'Wort vor',
+    repeatWord: 'Wort wiederholen',
+    jumpToPreviousSentence: 'Satz zurück',
+    jumpToNextSentence: 'Satz vor',
+    jumpToPreviousParagraph: 'Absatz zurück',
+    jumpToNextParagraph: 'Absatz vor',
+    jumpToPreviousChapter: 'Kapitel zurück',
+    jumpToNextChapter: 'Kapitel vor',
+    addCurrentWordToList: 'Wort in die Wortliste',
+    togglePracticeMode: 'Übungsmodus an/aus',
+    toggleLoop: 'A–B-Schleife',
+    addBookmark: 'Lesezeichen setzen',
+    jumpToPreviousBookmark: 'Lesezeichen zurück',
+    jumpToNextBookmark: 'Lesezeichen vor',
+    resetToStart: 'Zum Anfang'
+};
+
+// Key combination (see shortcutKey) → action
+const DEFAULT_SHORTCUTS = {
+    'Space': 'togglePlayPause',
+    'Escape': 'stopReading',
+    'ArrowLeft': 'previousWord',
+    'ArrowRight': 'nextWord',
+    'R': 'repeatWord',
+    'ArrowUp': 'jumpToPreviousSentence',
+    'ArrowDown': 'jumpToNextSentence',
+    'Shift+ArrowUp': 'jumpToPreviousParagraph',
+    'Shift+ArrowDown': 'jumpToNextParagraph',
+    'PageUp': 'jumpToPreviousChapter',
+    'PageDown': 'jumpToNextChapter',
+    'P': 'togglePracticeMode',
+    'W': 'addCurrentWordToList',
+    'L': 'toggleLoop',
+    'B': 'addBookmark',
+    'Shift+N': 'jumpToPreviousBookmark',
+    'N': 'jumpToNextBookmark',
+    'Home': 'resetToStart'
+};
+
+const KEY_LABELS = {
+    Space: 'Leertaste',
+    Escape: 'Esc',
+    ArrowLeft: '←',
+    ArrowRight: '→',
+    ArrowUp: '↑',
+    ArrowDown: '↓',
+    Home: 'Pos1',
+    End: 'Ende',
+    PageUp: 'Bild ↑',
+    PageDown: 'Bild ↓',
+    Ctrl: 'Strg'
+};
+
+// "Shift+ArrowUp", "Ctrl+R", "Space"; null for a modifier key on its own
+function shortcutKey(event) {
+    if (['Shift', 'Control', 'Alt', 'Meta'].includes(event.key)) return null;
+    
+    const key = event.code === 'Space' ? 'Space' : event.key.length === 1 ? event.key.toUpperCase() : event.key;
+    return [
+        event.ctrlKey && 'Ctrl',
+        event.altKey && 'Alt',
+        event.metaKey && 'Meta',
+        event.shiftKey && 'Shift',
+        key
+    ].filter(Boolean).join('+');
+}
+
+function shortcutLabel(combination) {
+    return combination.split('+').map(part => KEY_LABELS[part] || part).join(' + ');
+}
+
+// ===== SPEECH ENGINES =====
+// Playback talks to an engine shaped like window.speechSynthesis: speak()
+// queues an utterance, cancel() clears the queue, getVoices() lists voices.
+// Utterances come from the engine and report onstart, onboundary (words),
+// onend and onerror like SpeechSynthesisUtterance.
+
+// A local server such as OpenTTS or Piper; {text}, {voice}, {lang} and {rate}
+// are filled in. Without {rate} the audio is played faster or slower instead.
+// tests/tts-stub-server.js stands in for one during development.
+const DEFAULT_SPEECH_ENGINE = {
+    type: 'web',
+    url: 'http://localhost:5500/api/tts?voice={voice}&text={text}',
+    voicesUrl: 'http://localhost:5500/api/voices'
+};
+const HTTP_TTS_TIMEOUT_MS = 15000; // synthesis of one chunk, also the watchdog's start limit
+const HTTP_TTS_FALLBACK_VOICE = { name: 'TTS-Server', lang: 'de-DE', default: true };
+
+// Relative speaking time of spoken text: its characters plus a pause for punctuation
+function speakingWeight(spoken) {
+    const punctuation = spoken.match(/[,;:.!?…]/g) || [];
+    return spoken.length + 1 + punctuation.reduce((sum, p) => sum + PUNCTUATION_PAUSE_CHARS[p], 0);
+}
+
+// Word timings sent by the server ([{ word, start_time }] in seconds, or
+// { word, start }) matched to the words of the text in order. Words the
+// text doesn't contain are skipped; null if none match.
+function alignWordTimings(text, timings) {
+    const words = [];
+    let position = 0;
+    
+    for (const timing of timings) {
+        const word = String(timing.word || timing.text || '').trim();
+        const time = 'start_time' in timing ? timing.start_time : timing.start;
+        if (!word || typeof time !== 'number') continue;
+        
+        const charIndex = text.indexOf(word, position);
+        if (charIndex < 0) continue;
+        words.push({ charIndex, charLength: word.length, time });
+        position = charIndex + word.length;
+    }
+    return words.length ? words : null;
+}
+
+class WebSpeechEngine {
+    constructor() {
+        this.synth = window.speechSynthesis;
+        this.startTimeout = WATCHDOG_START_MS;
+        this.onvoiceschanged = null;
+        
+        // Mobile browsers load their voices late
+        if ('speechSynthesis' in window) {
+            this.synth.addEventListener('voiceschanged', () => {
+                if (this.onvoiceschanged) this.onvoiceschanged();
+            });
+        }
+    }
+    
+    createUtterance(text) {
+        return new SpeechSynthesisUtterance(text);
+    }
+    
+    speak(utterance) {
+        this.synth.speak(utterance);
+    }
+    
+    cancel() {
+        this.synth.cancel();
+    }
+    
+    getVoices() {
+        return this.synth.getVoices();
+    }
+}
+
+// Fetches audio per utterance and plays it. A server may answer with JSON
+// { audio: base64, timestamps: [{ word, start_time }] } to report when each
+// word starts; plain audio only allows an estimate (see estimateWordTimes).
+class HttpSpeechEngine {
+    constructor(settings) {
+        this.url = settings.url;
+        this.voicesUrl = settings.voicesUrl;
+        this.startTimeout = HTTP_TTS_TIMEOUT_MS;
+        this.onvoiceschanged = null;
+        this.voices = [];
+        this.queue = [];
+        this.current = null; // { utterance, controller, audio, audioUrl, timings, timer }
+        this.loadVoices();
+    }
+    
+    createUtterance(text) {
+        return {
+            text, lang: '', voice: null, rate: 1, pitch: 1, volume: 1,
+            onstart: null, onboundary: null, onend: null, onerror: null
+        };
+    }
+    
+    getVoices() {
+        return this.voices;
+    }
+    
+    // OpenTTS lists voices as { id: { locale, language } }, other servers as [{ name, lang }]
+    async loadVoices() {
+        let voices = [];
+        
+        if (this.voicesUrl) {
+            try {
+                const response = await fetch(this.voicesUrl);
+                if (!response.ok) throw new Error('HTTP ' + response.status);
+                const data = await response.json();
+                voices = Array.isArray(data)
+                    ? data.map(voice => ({ name: voice.name || voice.id, lang: voice.lang || voice.locale || voice.language }))
+                    : Object.entries(data).map(([id, voice]) => ({ name: id, lang: voice.locale || voice.language }));
+                voices = voices.filter(voice => voice.name && voice.lang);
+            } catch (e) {
+                console.warn('Voices of the TTS server not available:', e.message);
+            }
+        }
+        
+        this.voices = voices.length ? voices : [HTTP_TTS_FALLBACK_VOICE];
+        if (this.onvoiceschanged) this.onvoiceschanged();
+    }
+    
+    buildUrl(utterance) {
+        const values = {
+            text: utterance.text,
+            voice: utterance.voice && utterance.voice !== HTTP_TTS_FALLBACK_VOICE ? utterance.voice.name : '',
+            lang: utterance.lang,
+            rate: utterance.rate
+        };
+        return this.url.replace(/\{(text|voice|lang|rate)\}/g, (match, key) => encodeURIComponent(values[key]));
+    }
+    
+    // Like speechSynthesis.speak(): an utterance starts when the previous one has ended
+    speak(utterance) {
+        this.queue.push(utterance);
+        if (!this.current) this.playNext();
+    }
+    
+    cancel() {
+        this.queue = [];
+        this.stop();
+    }
+    
+    async playNext() {
+        const utterance = this.queue.shift();
+        if (!utterance) return;
+        
+        const current = { utterance, controller: new AbortController(), audio: null, audioUrl: null, timings: null, timer: null };
+        this.current = current;
+        const timeout = setTimeout(() => current.controller.abort(), HTTP_TTS_TIMEOUT_MS);
+        
+        try {
+            const response = await fetch(this.buildUrl(utterance), { signal: current.controller.signal });
+            if (!response.ok) throw new Error('HTTP ' + response.status);
+            const blob = await this.readAudio(response, current);
+            if (this.current !== current) return;
+            
+            current.audioUrl = URL.createObjectURL(blob);
+            const audio = new Audio(current.audioUrl);
+            current.audio = audio;
+            audio.playbackRate = this.url.includes('{rate}') ? 1 : utterance.rate;
+            audio.volume = utterance.volume;
+            
+            audio.addEventListener('playing', () => {
+                if (this.current !== current || current.timer) return;
+                if (utterance.onstart) utterance.onstart({});
+                this.startBoundaries(current);
+            });
+            audio.addEventListener('ended', () => {
+                if (this.current === current) this.finish(current, 'onend', {});
+            });
+            audio.addEventListener('error', () => {
+                if (this.current === current) {
+                    this.finish(current, 'onerror', { error: 'synthesis-failed', message: 'Audio not playable' });
+                }
+            });
+            
+            await audio.play();
+        } catch (e) {
+            // Cancelled meanwhile
+            if (this.current !== current) return;
+            
+            let error = 'synthesis-failed';
+            if (e.name === 'NotAllowedError') {
+                error = 'not-allowed';
+            } else if (e.name === 'AbortError' || e instanceof TypeError) {
+                error = 'network';
+            }
+            this.finish(current, 'onerror', { error, message: e.message });
+        } finally {
+            clearTimeout(timeout);
+        }
+    }
+    
+    // Audio either as the body itself or inside a JSON answer with word timings
+    async readAudio(response, current) {
+        if (!(response.headers.get('Content-Type') || '').includes('json')) {
+            return response.blob();
+        }
+        
+        const data = await response.json();
+        if (typeof data.audio !== 'string') throw new Error('No audio in the answer');
+        const timings = data.timestamps || data.words;
+        if (Array.isArray(timings)) current.timings = timings;
+        
+        const audioUrl = data.audio.startsWith('data:') ? data.audio : 'data:audio/wav;base64,' + data.audio;
+        return (await fetch(audioUrl)).blob();
+    }
+    
+    // Reports each word when the audio reaches its start
+    startBoundaries(current) {
+        const { audio, utterance } = current;
+        const words = (current.timings && alignWordTimings(utterance.text, current.timings))
+            || this.estimateWordTimes(utterance.text, audio);
+        
+        let next = 0;
+        const tick = () => {
+            while (next < words.length && words[next].time <= audio.currentTime) {
+                const { charIndex, charLength } = words[next++];
+                if (utterance.onboundary) utterance.onboundary({ name: 'word', charIndex, charLength });
+            }
+        };
+        current.timer = setInterval(tick, ESTIMATE_INTERVAL_MS);
+        tick();
+    }
+    
+    // Only an estimate: the audio is split by speaking weight, assuming an even
+    // pace. The highlight may run slightly ahead of or behind the voice.
+    estimateWordTimes(text, audio) {
+        const words = [...text.matchAll(/\S+/g)].map(match => ({
+            charIndex: match.index,
+            charLength: match[0].length,
+            weight: speakingWeight(match[0])
+        }));
+        const total = words.reduce((sum, word) => sum + word.weight, 0);
+        const duration = isFinite(audio.duration) ? audio.duration : total / ESTIMATED_CHARS_PER_SECOND;
+        
+        let elapsed = 0;
+        words.forEach(word => {
+            word.time = elapsed / total * duration;
+            elapsed += word.weight;
+        });
+        return words;
+    }
+    
+    finish(current, handler, event) {
+        this.stop();
+        if (current.utterance[handler]) current.utterance[handler](event);
+        
+        // The handler may have started the next utterance itself
+        if (!this.current) this.playNext();
+    }
+    
+    stop() {
+        const current = this.current;
+        this.current = null;
+        if (!current) return;
+        
+        current.controller.abort();
+        clearInterval(current.timer);
+        if (current.audio) current.audio.pause();
+        if (current.audioUrl) URL.revokeObjectURL(current.audioUrl);
+    }
+}
+
+// ===== PLAYBACK =====
+
+// Playback speaks one chunk (a sentence, or part of a long one) per utterance.
+// Long utterances silently stop on Chrome/Android.
+const MAX_CHUNK_WORDS = 40;
+const MAX_CHUNK_CHARS = 200;
+
+// Watchdog: how long the engine may stay silent before playback counts as stalled
+const WATCHDOG_START_MS = 5000; // until onstart
+const WATCHDOG_SILENCE_MS = 5000; // between boundary events
+const ESTIMATED_CHARS_PER_SECOND = 14; // at rate 1, used for engines without boundary events
+const MAX_PLAYBACK_RETRIES = 3;
+
+// Progress estimation for engines that send no word boundaries
+const BOUNDARY_FALLBACK_MS = 1200; // wait this long after onstart for a first boundary
+const ESTIMATE_INTERVAL_MS = 100;
+const PUNCTUATION_PAUSE_CHARS = { ',': 3, ';': 4, ':': 4, '.': 6, '!': 6, '?': 6, '…': 6 };
+
+// How each kind of TTS failure is reported and whether it is retried
+const PLAYBACK_ERRORS = {
+    'stalled': { message: 'Die Sprachausgabe reagiert nicht mehr', retry: true, delay: 500 },
+    'interrupted': { message: 'Die Sprachausgabe wurde unterbrochen', retry: true, delay: 500 },
+    'canceled': { message: 'Die Sprachausgabe wurde unterbrochen', retry: true, delay: 500 },
+    'audio-busy': { message: 'Die Audioausgabe ist gerade belegt', retry: true, delay: 2000 },
+    'audio-hardware': { message: 'Kein Audiogerät verfügbar', retry: true, delay: 2000 },
+    'synthesis-failed': { message: 'Die Stimme konnte den Text nicht sprechen', retry: true, delay: 1000 },
+    'network': { message: 'Die Online-Stimme ist nicht erreichbar', retry: true, delay: 2000 },
+    'synthesis-unavailable': { message: 'Keine Sprachausgabe verfügbar', retry: false },
+    'voice-unavailable': { message: 'Die gewählte Stimme ist nicht verfügbar', retry: false },
+    'language-unavailable': { message: 'Die Sprache wird von der Stimme nicht unterstützt', retry: false },
+    'not-allowed': { message: 'Der Browser hat die Wiedergabe blockiert', retry: false },
+    'default': { message: 'Fehler bei der Sprachausgabe', retry: true, delay: 1000 }
+};
+
+// ===== WORD TIMINGS =====
+// Start and end of each word in seconds of reading time, recorded from word
+// boundaries. A .timings.json file holds the text and one entry per timed word:
+// { text, offset (character offset in the text), start, end, rate }.
+
+const TIMINGS_FORMAT = 'quasselo-timings';
+const TIMINGS_VERSION = 1;
+const TIMINGS_EXTENSION = '.timings.json';
+
+// WebVTT timestamp hh:mm:ss.ttt
+function formatVttTime(seconds) {
+    const ms = Math.round(seconds * 1000);
+    const pad = (value, length = 2) => String(value).padStart(length, '0');
+    return `${pad(Math.floor(ms / 3600000))}:${pad(Math.floor(ms / 60000) % 60)}:${pad(Math.floor(ms / 1000) % 60)}.${pad(ms % 1000, 3)}`;
+}
+
+function escapeVtt(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// ===== MEDIA SESSION =====
+
+// Lock-screen controls appear only while a media element plays; Chrome wants
+// clips of at least five seconds
+const SILENT_AUDIO_SECONDS = 10;
+const SILENT_AUDIO_SAMPLE_RATE = 8000;
+
+// ===== PRACTICE MODE =====
+
+// One sentence or phrase at a time, repeated, then a gap
+// (gap 0 waits until the user taps Hören)
+const DEFAULT_PRACTICE = { unit: 'sentence', gap: 0, repeats: 1, slowRepeat: false };
+const PRACTICE_REPEAT_PAUSE_MS = 700;
+const PRACTICE_SLOW_FACTOR = 0.7;
+
+// ===== SLEEP TIMER =====
+
+// Stops at the next sentence or paragraph end once the time is up
+const DEFAULT_SLEEP_TIMER = { minutes: 15, stopAt: 'sentence' };
+const SLEEP_TIMER_TICK_MS = 10000;
+
+// ===== WORD ACTIONS =====
+
+// Tap or long-press on a word
+const SLOW_WORD_RATE = 0.5;
+const SPELLING_NAMES = { 'ß': 'Eszett' };
+
+// ===== VOCABULARY =====
+
+// Word list practice: word, pause, example sentence, pause, next word
+const VOCABULARY_PAUSE_MS = 1200;
+
+class Quasselo {
+    constructor() {
+        // State
+        this.words = []; // Prepared tokens: { text, spoken, start, end } with offsets into textContent
+        this.currentIndex = 0;
+        this.resumeIndex = 0; // Position saved in the library; Stop's return to the start leaves it alone
+        this.isPrepared = false;
+        this.isPlaying = false;
+        this.isPaused = false;
+        this.sentences = []; // Sentence ranges over words: { start, end, lang }
+        this.paragraphs = []; // Paragraph ranges over words: { start, end, heading }
+        this.chapters = []; // Chapter ranges over words: { start, end }
+        this.currentSentenceStart = 0;
+        this.currentSentenceEnd = 0;
+        this.speechRate = 0.9; // Speech speed
+        this.pitch = 1;
+        this.volume = 1;
+        this.voiceName = null; // Wanted voice for German, the main language; restored by name
+        this.selectedVoice = null; // The installed voice used for it
+        this.voicePreferences = loadStoredJSON('voices', {}); // Other languages: code → voice name
+        this.fontSize = 18; // Font size in pixels
+        this.showSyllables = false; // Alternately coloured syllables
+        this.syllableTimer = null;
+        this.popoverIndex = null; // Word the word actions refer to
+        this.vocabulary = loadStoredJSON('vocabulary', []); // { word, context, lang, documentId, documentName, addedAt }
+        this.vocabularyPracticeIndex = null; // Entry being spoken by the word list practice
+        
+        // Settings are global unless the open text brings its own
+        this.profiles = loadStoredJSON('profiles', {});
+        this.textSettingsOverride = false;
+        this.shortcuts = loadStoredJSON('shortcuts', { ...DEFAULT_SHORTCUTS });
+        this.capturingShortcut = null; // Action waiting for its new key
+        this.practice = { ...DEFAULT_PRACTICE, ...loadStoredJSON('practice', {}) };
+        this.practiceMode = false;
+        this.loop = null; // A–B loop: { start, end } word range
+        this.sleepSettings = { ...DEFAULT_SLEEP_TIMER, ...loadStoredJSON('sleepTimer', {}) };
+        this.sleepTimer = null; // Running timer: { deadline, interval, expired }
+        this.wordTimeline = null; // Cumulative word weights of this.words, see getWordTimeline()
+        this.seeking = false; // Seek bar is being dragged
+        this.wordTimings = []; // Word index → { start, end, rate }, see recordWordTiming()
+        this.timingsImported = false;
+        this.timingClock = { elapsed: 0, resumedAt: null }; // Reading time, runs while speech plays
+        this.lastTimedIndex = null;
+        this.silentAudio = null;
+        
+        // Library: the open document (null until the text is saved for the first time)
+        this.library = new LibraryStore();
+        this.documentId = null;
+        this.saveTimer = null;
+        this.bookmarks = []; // { id, name, note, index, anchor } of the open document
+        this.initialText = document.getElementById('textArea').textContent;
+        
+        // Debounce for Play/Pause button
+        this.playPauseTimeout = null;
+        this.playPauseBlocked = false;
+        
+        // TTS
+        this.utterance = null;
+        this.webSpeech = new WebSpeechEngine();
+        this.engine = null; // Web Speech or a local TTS server, see useSpeechEngine()
+        this.speechEngineSettings = { ...DEFAULT_SPEECH_ENGINE, ...loadStoredJSON('speechEngine', {}) };
+        this.playbackQueue = []; // Upcoming chunks: { start, end }
+        this.currentChunk = null;
+        this.playbackSession = 0; // Incremented on cancel to ignore stale callbacks
+        
+        // Watchdog and recovery
+        this.watchdogTimer = null;
+        this.lastSpeechActivity = 0;
+        this.playbackRetries = 0;
+        
+        // Progress estimation (engines without word boundaries)
+        this.charsPerSecond = ESTIMATED_CHARS_PER_SECOND; // at rate 1, calibrated per chunk
+        this.boundariesUnsupported = false;
+        this.estimateTimer = null;
+        this.boundaryFallbackTimer = null;
+        
+        // Text preparation
+        this.normalizer = new TextNormalizer();
+        this.segmenter = new SentenceSegmenter();
+        this.languageDetector = new LanguageDetector();
+        this.structure = new DocumentStructure();
+        this.anchors = new BookmarkAnchors();
+        this.syllabifier = new SyllableSegmenter();
+        this.statistics = new TextStatistics(this.syllabifier);
+        this.importer = new DocumentImporter();
+        this.cleaner = new TextCleaner(this.importer);
+        this.cleanupSettings = loadStoredJSON('cleanup', { enabled: {}, custom: [] });
+        this.cleanupResult = null;
+        this.prepareAfterCleanup = false;
+        this.lexicon = new PronunciationLexicon(loadStoredJSON('lexicon', []));
+        
+        // DOM Elements
+        this.textName = document.getElementById('textName');
+        this.textArea = document.getElementById('textArea');
+        this.currentPosDisplay = document.getElementById('currentPos');
+        this.totalWordsDisplay = document.getElementById('totalWords');
+        this.jumpPositionInput = document.getElementById('jumpPosition');
+        this.seekBar = document.getElementById('seekBar');
+        this.elapsedTimeDisplay = document.getElementById('elapsedTime');
+        this.remainingTimeDisplay = document.getElementById('remainingTime');
+        this.progressPercentDisplay = document.getElementById('progressPercent');
+        this.btnSleepTimer = document.getElementById('btnSleepTimer');
+        this.highlighter = new WordHighlighter(this.textArea);
+        
+        // Buttons
+        this.btnLibrary = document.getElementById('btnLibrary');
+        this.btnClipboard = document.getElementById('btnClipboard');
+        this.btnSave = document.getElementById('btnSave');
+        this.btnCleanup = document.getElementById('btnCleanup');
+        this.btnPrepare = document.getElementById('btnPrepare');
+        this.btnPrepareActive = document.getElementById('btnPrepareActive');
+        this.btnStats = document.getElementById('btnStats');
+        this.btnExport = document.getElementById('btnExport');
+        this.btnImport = document.getElementById('btnImport');
+        this.btnDelete = document.getElementById('btnDelete');
+        this.btnMenu = document.getElementById('btnMenu');
+        this.btnToc = document.getElementById('btnToc');
+        this.btnBookmarks = document.getElementById('btnBookmarks');
+        this.btnPractice = document.getElementById('btnPractice');
+        this.btnLoop = document.getElementById('btnLoop');
+        this.btnPrevChapter = document.getElementById('btnPrevChapter');
+        this.btnPrevParagraph = document.getElementById('btnPrevParagraph');
+        this.btnNextParagraph = document.getElementById('btnNextParagraph');
+        this.btnNextChapter = document.getElementById('btnNextChapter');
+        this.btnHoren = document.getElementById('btnHoren');
+        this.btnPause = document.getElementById('btnPause');
+        this.btnStop = document.getElementById('btnStop');
+        this.btnBegin = document.getElementById('btnBegin');
+        this.btnPrev = document.getElementById('btnPrev');
+        this.btnNext = document.getElementById('btnNext');
+        this.btnRepeat = document.getElementById('btnRepeat');
+        this.btnEnd = document.getElementById('btnEnd');
+        this.btnClose = document.getElementById('btnClose');
+        
+        // Settings Modal
+        this.settingsModal = document.getElementById('settingsModal');
+        this.closeSettingsBtn = document.getElementById('closeSettings');
+        this.speedSlider = document.getElementById('speedSlider');
+        this.speedValue = document.getElementById('speedValue');
+        this.fontSizeSlider = document.getElementById('fontSizeSlider');
+        this.fontSizeValue = document.getElementById('fontSizeValue');
+        this.syllableCheckbox = document.getElementById('syllableCheckbox');
+        this.pitchSlider = document.getElementById('pitchSlider');
+        this.pitchValue = document.getElementById('pitchValue');
+        this.volumeSlider = document.getElementById('volumeSlider');
+        this.volumeValue = document.getElementById('volumeValue');
+        this.profileSelect = document.getElementById('profileSelect');
+        this.btnSaveProfile = document.getElementById('btnSaveProfile');
+        this.btnDeleteProfile = document.getElementById('btnDeleteProfile');
+        this.textSettingsCheckbox = document.getElementById('textSettingsOverride');
+        this.practiceUnit = document.getElementById('practiceUnit');
+        this.practiceGap = document.getElementById('practiceGap');
+        this.practiceRepeats = document.getElementById('practiceRepeats');
+        this.practiceRepeatsValue = document.getElementById('practiceRepeatsValue');
+        this.practiceSlowRepeat = document.getElementById('practiceSlowRepeat');
+        this.sleepMinutes = document.getElementById('sleepMinutes');
+        this.sleepStopAt = document.getElementById('sleepStopAt');
+        this.shortcutList = document.getElementById('shortcutList');
+        this.btnResetShortcuts = document.getElementById('btnResetShortcuts');
+        this.speechEngineSelect = document.getElementById('speechEngine');
+        this.httpEngineSettings = document.getElementById('httpEngineSettings');
+        this.ttsUrlInput = document.getElementById('ttsUrl');
+        this.ttsVoicesUrlInput = document.getElementById('ttsVoicesUrl');
+        this.btnTestSpeechEngine = document.getElementById('btnTestSpeechEngine');
+        this.timingInfo = document.getElementById('timingInfo');
+        this.btnExportVtt = document.getElementById('btnExportVtt');
+        this.btnExportTimings = document.getElementById('btnExportTimings');
+        this.btnClearTimings = document.getElementById('btnClearTimings');
+        this.voiceSelect = document.getElementById('voiceSelect');
+        this.voiceInfo = document.getElementById('voiceInfo');
+        this.lexiconType = document.getElementById('lexiconType');
+        this.lexiconMatch = document.getElementById('lexiconMatch');
+        this.lexiconReplacement = document.getElementById('lexiconReplacement');
+        this.btnTestLexicon = document.getElementById('btnTestLexicon');
+        this.btnAddLexicon = document.getElementById('btnAddLexicon');
+        this.lexiconList = document.getElementById('lexiconList');
+        this.lexiconInfo = document.getElementById('lexiconInfo');
+        this.btnExportLexicon = document.getElementById('btnExportLexicon');
+        this.btnImportLexicon = document.getElementById('btnImportLexicon');
+        this.lexiconFileInput = document.getElementById('lexiconFileInput');
+        
+        // Library Modal
+        this.libraryModal = document.getElementById('libraryModal');
+        this.closeLibraryBtn = document.getElementById('closeLibrary');
+        this.libraryList = document.getElementById('libraryList');
+        this.libraryInfo = document.getElementById('libraryInfo');
+        
+        // Table of Contents Modal
+        this.tocModal = document.getElementById('tocModal');
+        this.closeTocBtn = document.getElementById('closeToc');
+        this.tocList = document.getElementById('tocList');
+        this.tocInfo = document.getElementById('tocInfo');
+        
+        // Statistics Modal
+        this.statsModal = document.getElementById('statsModal');
+        this.closeStatsBtn = document.getElementById('closeStats');
+        this.statsTable = document.getElementById('statsTable');
+        this.hardestList = document.getElementById('hardestList');
+        this.statsInfo = document.getElementById('statsInfo');
+        
+        // Bookmarks Modal
+        this.bookmarkModal = document.getElementById('bookmarkModal');
+        this.closeBookmarksBtn = document.getElementById('closeBookmarks');
+        this.bookmarkList = document.getElementById('bookmarkList');
+        this.bookmarkInfo = document.getElementById('bookmarkInfo');
+        this.btnAddBookmark = document.getElementById('btnAddBookmark');
+        
+        // Clean-up Modal
+        this.cleanupModal = document.getElementById('cleanupModal');
+        this.closeCleanupBtn = document.getElementById('closeCleanup');
+        this.cleanupRules = document.getElementById('cleanupRules');
+        this.cleanupPattern = document.getElementById('cleanupPattern');
+        this.cleanupReplacement = document.getElementById('cleanupReplacement');
+        this.btnAddCleanupRule = document.getElementById('btnAddCleanupRule');
+        this.cleanupCustomRules = document.getElementById('cleanupCustomRules');
+        this.cleanupPreview = document.getElementById('cleanupPreview');
+        this.cleanupInfo = document.getElementById('cleanupInfo');
+        this.btnCleanupCancel = document.getElementById('btnCleanupCancel');
+        this.btnCleanupApply = document.getElementById('btnCleanupApply');
+        
+        // Word Popover
+        this.wordPopover = document.getElementById('wordPopover');
+        this.wordPopoverTitle = document.getElementById('wordPopoverTitle');
+        this.btnWordPlay = document.getElementById('btnWordPlay');
+        this.btnWordSlow = document.getElementById('btnWordSlow');
+        this.btnWordSpell = document.getElementById('btnWordSpell');
+        this.btnWordSyllables = document.getElementById('btnWordSyllables');
+        this.btnWordList = document.getElementById('btnWordList');
+        
+        // Vocabulary Modal
+        this.btnVocabulary = document.getElementById('btnVocabulary');
+        this.vocabularyModal = document.getElementById('vocabularyModal');
+        this.closeVocabularyBtn = document.getElementById('closeVocabulary');
+        this.vocabularyScope = document.getElementById('vocabularyScope');
+        this.btnAddCurrentWord = document.getElementById('btnAddCurrentWord');
+        this.vocabularyList = document.getElementById('vocabularyList');
+        this.vocabularyInfo = document.getElementById('vocabularyInfo');
+        this.btnPracticeVocabulary = document.getElementById('btnPracticeVocabulary');
+        this.btnExportCsv = document.getElementById('btnExportCsv');
+        this.btnExportAnki = document.getElementById('btnExportAnki');
+        
+        this.fileInput = document.getElementById('fileInput');
+        
+        // Initialize
+        this.applyTextSettings(loadStoredJSON('settings', {}));
+        this.renderProfiles();
+        this.renderPracticeSettings();
+        this.renderSleepSettings();
+        this.renderSpeechEngineSettings();
+        this.attachEventListeners();
+        this.updateUI();
+        this.registerServiceWorker();
+        if (!this.receiveSharedText()) {
+            this.offerLastDocument();
+        }
+        
+        // Load voices (needed for voice selection)
+        this.useSpeechEngine();
+    }
+    
+    // ===== SPEECH ENGINE =====
+    
+    // Browser voices or a local TTS server; voices are listed anew either way
+    useSpeechEngine() {
+        if (this.engine) this.interruptPlayback();
+        
+        const settings = this.speechEngineSettings;
+        this.engine = settings.type === 'http' ? new HttpSpeechEngine(settings) : this.webSpeech;
+        this.engine.onvoiceschanged = () => this.loadVoices();
+        this.selectedVoice = null;
+        this.voicesLoaded = false;
+        this.loadVoices();
+    }
+    
+    renderSpeechEngineSettings() {
+        const settings = this.speechEngineSettings;
+        this.speechEngineSelect.value = settings.type;
+        this.ttsUrlInput.value = settings.url;
+        this.ttsVoicesUrlInput.value = settings.voicesUrl;
+        this.httpEngineSettings.style.display = settings.type === 'http' ? '' : 'none';
+    }
+    
+    saveSpeechEngineSettings() {
+        this.speechEngineSettings = {
+            type: this.speechEngineSelect.value,
+            url: this.ttsUrlInput.value.trim() || DEFAULT_SPEECH_ENGINE.url,
+            voicesUrl: this.ttsVoicesUrlInput.value.trim()
+        };
+        storeJSON('speechEngine', this.speechEngineSettings);
+        this.renderSpeechEngineSettings();
+        this.useSpeechEngine();
+    }
+    
+    testSpeechEngine() {
+        const utterance = this.createUtterance('Hallo, ich bin Quasselo.');
+        utterance.onend = () => this.showMessage('✓ Die Sprachausgabe funktioniert');
+        utterance.onerror = (e) => {
+            const failure = PLAYBACK_ERRORS[e.error] || PLAYBACK_ERRORS.default;
+            this.showMessage(`✗ ${failure.message}`);
+        };
+        this.interruptPlayback();
+        this.engine.speak(utterance);
+    }
+    
+    loadVoices() {
+        const voices = this.engine.getVoices();
+        if (voices.length > 0) {
+            this.voicesLoaded = true;
+            console.log('Voices loaded:', voices.length);
+            
+            // Group all voices by language, German first
+            const groups = new Map();
+            voices.forEach(voice => {
+                const code = languageOf(voice.lang);
+                if (!groups.has(code)) groups.set(code, []);
+                groups.get(code).push(voice);
+            });
+            const codes = [...groups.keys()].sort((a, b) =>
+                (b === DEFAULT_LANGUAGE) - (a === DEFAULT_LANGUAGE) ||
+                languageName(a).localeCompare(languageName(b), 'de')
+            );
+            
+            // Populate dropdown; the wanted voice may have been installed meanwhile
+            this.voiceSelect.innerHTML = '';
+            this.selectedVoice = null;
+            codes.forEach(code => {
+                const group = document.createElement('optgroup');
+                group.label = languageName(code);
+                
+                groups.get(code).forEach(voice => {
+                    const option = document.createElement('option');
+                    option.value = voice.name;
+                    option.textContent = `${voice.name} (${voice.lang})`;
+                    group.appendChild(option);
+                });
+                
+                this.voiceSelect.appendChild(group);
+            });
+            
+            const mainVoice = this.getPreferredVoice();
+            if (mainVoice) {
+                this.voiceSelect.value = mainVoice.name;
+            }
+            this.updateVoiceInfo();
+        }
+    }
+    
+    // Lists the preferred voice of every language that has one
+    updateVoiceInfo() {
+        if (!this.engine.getVoices().some(v => languageOf(v.lang) === DEFAULT_LANGUAGE)) {
+            this.voiceInfo.textContent = '⚠ Keine deutschen Stimmen gefunden';
+            return;
+        }
+        
+        const codes = [...new Set([DEFAULT_LANGUAGE, ...Object.keys(this.voicePreferences)])];
+        const info = codes
+            .map(code => [code, this.getPreferredVoice(code)])
+            .filter(([, voice]) => voice)
+            .map(([code, voice]) => `${languageName(code)}: ${voice.name}`)
+            .join(' · ');
+        
+        // A voice saved on another device may not be installed here
+        const mainVoice = this.getPreferredVoice();
+        this.voiceInfo.textContent = this.voiceName && mainVoice && mainVoice.name !== this.voiceName
+            ? `⚠ „${this.voiceName}“ ist hier nicht installiert – ${info}`
+            : info;
+    }
+    
+    attachEventListeners() {
+        // Top bar buttons
+        this.btnLibrary.addEventListener('click', () => this.showLibrary());
+        this.btnClipboard.addEventListener('click', () => this.loadFromClipboard());
+        this.btnSave.addEventListener('click', () => this.saveAsText());
+        this.btnCleanup.addEventListener('click', () => this.showCleanup());
+        this.btnPrepare.addEventListener('click', () => this.prepareWithCleanup());
+        this.btnStats.addEventListener('click', () => this.showStatistics());
+        this.btnExport.addEventListener('click', () => this.exportData());
+        this.btnImport.addEventListener('click', () => this.importData());
+        this.btnDelete.addEventListener('click', () => this.deleteAll());
+        
+        // Control bar buttons
+        this.btnMenu.addEventListener('click', () => this.showMenu());
+        this.btnToc.addEventListener('click', () => this.showToc());
+        this.btnBookmarks.addEventListener('click', () => this.showBookmarks());
+        this.btnPractice.addEventListener('click', () => this.togglePracticeMode());
+        // Keep the text selection that marks the loop
+        this.btnLoop.addEventListener('mousedown', (e) => e.preventDefault());
+        this.btnLoop.addEventListener('click', () => this.toggleLoop());
+        this.btnPrevChapter.addEventListener('click', () => this.jumpToPreviousChapter());
+        this.btnPrevParagraph.addEventListener('click', () => this.jumpToPreviousParagraph());
+        this.btnNextParagraph.addEventListener('click', () => this.jumpToNextParagraph());
+        this.btnNextChapter.addEventListener('click', () => this.jumpToNextChapter());
+        
+        // Hören button now works as Play/Resume
+        this.btnHoren.addEventListener('click', () => this.playOrResume());
+        
+        // Separate Pause button
+        this.btnPause.addEventListener('click', () => this.pause());
+        
+        this.btnStop.addEventListener('click', () => this.stopReading());
+        this.btnBegin.addEventListener('click', () => this.jumpToSentenceStart());
+        this.btnPrev.addEventListener('click', () => this.previousWord());
+        this.btnNext.addEventListener('click', () => this.nextWord());
+        this.btnRepeat.addEventListener('click', () => this.repeatWord());
+        this.btnEnd.addEventListener('click', () => this.jumpToSentenceEnd());
+        this.btnClose.addEventListener('click', () => this.resetToStart());
+        
+        // Jump position input
+        this.jumpPositionInput.addEventListener('change', () => this.jumpToPosition());
+        this.jumpPositionInput.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') this.jumpToPosition();
+        });
+        
+        // Seek bar - dragging previews the position, letting go jumps there
+        this.seekBar.addEventListener('input', () => {
+            this.seeking = true;
+            this.updateProgress();
+        });
+        this.seekBar.addEventListener('change', () => this.seekTo(parseInt(this.seekBar.value)));
+        
+        // Sleep timer
+        this.btnSleepTimer.addEventListener('click', () => this.toggleSleepTimer());
+        
+        // File input
+        this.fileInput.addEventListener('change', (e) => this.handleFileImport(e));
+        
+        // Drag & drop files onto the text area
+        this.textArea.addEventListener('dragover', (e) => {
+            if (e.dataTransfer && [...e.dataTransfer.types].includes('Files')) {
+                e.preventDefault();
+                this.textArea.classList.add('drag-over');
+            }
+        });
+        this.textArea.addEventListener('dragleave', () => {
+            this.textArea.classList.remove('drag-over');
+        });
+        this.textArea.addEventListener('drop', (e) => {
+            this.textArea.classList.remove('drag-over');
+            const file = e.dataTransfer && e.dataTransfer.files[0];
+            if (file) {
+                e.preventDefault();
+                this.importFile(file);
+            }
+        });
+        
+        // Word actions on tap or long-press
+        this.textArea.addEventListener('click', (e) => this.handleWordTap(e));
+        this.textArea.addEventListener('contextmenu', (e) => this.handleWordTap(e));
+        this.textArea.addEventListener('scroll', () => this.hideWordPopover());
+        document.addEventListener('click', (e) => {
+            if (!this.wordPopover.contains(e.target) && !this.textArea.contains(e.target)) {
+                this.hideWordPopover();
+            }
+        });
+        this.btnWordPlay.addEventListener('click', () => {
+            const index = this.popoverIndex;
+            this.hideWordPopover();
+            this.playFromWord(index);
+        });
+        this.btnWordSlow.addEventListener('click', () => this.speakWordSlowly(this.popoverIndex));
+        this.btnWordSpell.addEventListener('click', () => this.spellWord(this.popoverIndex));
+        this.btnWordSyllables.addEventListener('click', () => this.speakWordSyllables(this.popoverIndex));
+        this.btnWordList.addEventListener('click', () => this.addToWordList(this.popoverIndex));
+        
+        // Vocabulary Modal
+        this.btnVocabulary.addEventListener('click', () => this.showVocabulary());
+        this.closeVocabularyBtn.addEventListener('click', () => this.closeVocabulary());
+        this.vocabularyModal.addEventListener('click', (e) => {
+            if (e.target === this.vocabularyModal) {
+                this.closeVocabulary();
+            }
+        });
+        this.vocabularyScope.addEventListener('change', () => this.renderVocabulary());
+        this.btnAddCurrentWord.addEventListener('click', () => this.addCurrentWordToList());
+        this.btnPracticeVocabulary.addEventListener('click', () => this.toggleVocabularyPractice());
+        this.btnExportCsv.addEventListener('click', () => this.exportVocabularyCsv());
+        this.btnExportAnki.addEventListener('click', () => this.exportVocabularyAnki());
+        
+        // Text area - disable editing when prepared
+        this.textArea.addEventListener('input', () => {
+            this.hideWordPopover();
+            if (this.isPrepared) {
+                this.isPrepared = false;
+                this.highlighter.detach();
+                this.updateUI();
+            }
+            this.scheduleSave();
+        });
+        this.textName.addEventListener('input', () => {
+            this.scheduleSave();
+            this.updateMediaSession();
+        });
+        
+        // The app may be closed in the background without another chance to save
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') this.flushSave();
+        });
+        window.addEventListener('pagehide', () => this.flushSave());
+        
+        // Keyboard shortcuts and lock-screen / headset controls
+        document.addEventListener('keydown', (e) => this.handleShortcut(e));
+        this.btnResetShortcuts.addEventListener('click', () => {
+            this.shortcuts = { ...DEFAULT_SHORTCUTS };
+            this.saveShortcuts();
+        });
+        this.setupMediaSession();
+        
+        // Library Modal
+        this.closeLibraryBtn.addEventListener('click', () => this.closeLibrary());
+        this.libraryModal.addEventListener('click', (e) => {
+            if (e.target === this.libraryModal) {
+                this.closeLibrary();
+            }
+        });
+        
+        // Table of Contents Modal
+        this.closeTocBtn.addEventListener('click', () => this.closeToc());
+        this.tocModal.addEventListener('click', (e) => {
+            if (e.target === this.tocModal) {
+                this.closeToc();
+            }
+        });
+        
+        // Statistics Modal
+        this.closeStatsBtn.addEventListener('click', () => this.closeStatistics());
+        this.statsModal.addEventListener('click', (e) => {
+            if (e.target === this.statsModal) {
+                this.closeStatistics();
+            }
+        });
+        
+        // Bookmarks Modal
+        this.closeBookmarksBtn.addEventListener('click', () => this.closeBookmarks());
+        this.bookmarkModal.addEventListener('click', (e) => {
+            if (e.target === this.bookmarkModal) {
+                this.closeBookmarks();
+            }
+        });
+        this.btnAddBookmark.addEventListener('click', () => this.addBookmark());
+        
+        // Clean-up Modal
+        this.closeCleanupBtn.addEventListener('click', () => this.closeCleanup());
+        this.btnCleanupCancel.addEventListener('click', () => this.closeCleanup());
+        this.btnCleanupApply.addEventListener('click', () => this.applyCleanup());
+        this.btnAddCleanupRule.addEventListener('click', () => this.addCleanupRule());
+        this.cleanupPattern.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') this.addCleanupRule();
+        });
+        this.cleanupReplacement.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') this.addCleanupRule();
+        });
+        this.cleanupModal.addEventListener('click', (e) => {
+            if (e.target === this.cleanupModal) {
+                this.closeCleanup();
+            }
+        });
+        
+        // Settings Modal
+        this.closeSettingsBtn.addEventListener('click', () => this.closeSettings());
+        this.settingsModal.addEventListener('click', (e) => {
+            if (e.target === this.settingsModal) {
+                this.closeSettings();
+            }
+        });
+        this.speedSlider.addEventListener('input', (e) => {
+            this.speechRate = parseFloat(e.target.value);
+            this.speedValue.textContent = this.speechRate.toFixed(1);
+            this.saveSettings();
+        });
+        
+        this.fontSizeSlider.addEventListener('input', (e) => {
+            this.fontSize = parseInt(e.target.value);
+            this.fontSizeValue.textContent = this.fontSize;
+            this.textArea.style.fontSize = this.fontSize + 'px';
+            this.saveSettings();
+        });
+        
+        this.syllableCheckbox.addEventListener('change', () => {
+            this.showSyllables = this.syllableCheckbox.checked;
+            if (this.showSyllables && !this.highlighter.supported) {
+                this.showMessage('⚠ Silbenfarben werden von diesem Browser nicht unterstützt');
+            }
+            this.renderSyllables();
+            this.saveSettings();
+        });
+        
+        this.pitchSlider.addEventListener('input', (e) => {
+            this.pitch = parseFloat(e.target.value);
+            this.pitchValue.textContent = this.pitch.toFixed(1);
+            this.saveSettings();
+        });
+        
+        this.volumeSlider.addEventListener('input', (e) => {
+            this.volume = parseFloat(e.target.value);
+            this.volumeValue.textContent = Math.round(this.volume * 100);
+            this.saveSettings();
+        });
+        
+        // Practice mode
+        this.practiceUnit.addEventListener('change', () => {
+            this.practice.unit = this.practiceUnit.value;
+            this.savePracticeSettings();
+        });
+        this.practiceGap.addEventListener('change', () => {
+            this.practice.gap = parseInt(this.practiceGap.value);
+            this.savePracticeSettings();
+        });
+        this.practiceRepeats.addEventListener('input', () => {
+            this.practice.repeats = parseInt(this.practiceRepeats.value);
+            this.savePracticeSettings();
+        });
+        this.practiceSlowRepeat.addEventListener('change', () => {
+            this.practice.slowRepeat = this.practiceSlowRepeat.checked;
+            this.savePracticeSettings();
+        });
+        
+        // Sleep timer
+        this.sleepMinutes.addEventListener('change', () => {
+            this.sleepSettings.minutes = parseInt(this.sleepMinutes.value);
+            storeJSON('sleepTimer', this.sleepSettings);
+        });
+        this.sleepStopAt.addEventListener('change', () => {
+            this.sleepSettings.stopAt = this.sleepStopAt.value;
+            storeJSON('sleepTimer', this.sleepSettings);
+        });
+        
+        // Profiles and per-text settings
+        this.profileSelect.addEventListener('change', () => this.loadProfile(this.profileSelect.value));
+        this.btnSaveProfile.addEventListener('click', () => this.saveProfile());
+        this.btnDeleteProfile.addEventListener('click', () => this.deleteProfile());
+        this.textSettingsCheckbox.addEventListener('change', () => {
+            if (this.textSettingsCheckbox.checked) {
+                // The text keeps the current settings as its own
+                this.textSettingsOverride = true;
+                this.scheduleSave();
+            } else {
+                this.useTextSettings(null);
+            }
+        });
+        
+        // Pronunciation lexicon
+        this.btnTestLexicon.addEventListener('click', () => this.testLexiconEntry());
+        this.btnAddLexicon.addEventListener('click', () => this.addLexiconEntry());
+        this.lexiconReplacement.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') this.addLexiconEntry();
+        });
+        this.btnExportLexicon.addEventListener('click', () => this.exportLexicon());
+        this.btnImportLexicon.addEventListener('click', () => this.lexiconFileInput.click());
+        this.lexiconFileInput.addEventListener('change', (e) => this.handleLexiconImport(e));
+        
+        // Speech engine
+        this.speechEngineSelect.addEventListener('change', () => this.saveSpeechEngineSettings());
+        this.ttsUrlInput.addEventListener('change', () => this.saveSpeechEngineSettings());
+        this.ttsVoicesUrlInput.addEventListener('change', () => this.saveSpeechEngineSettings());
+        this.btnTestSpeechEngine.addEventListener('click', () => this.testSpeechEngine());
+        
+        // Word timings
+        this.btnExportVtt.addEventListener('click', () => this.exportTimingsVtt());
+        this.btnExportTimings.addEventListener('click', () => this.exportTimingsJson());
+        this.btnClearTimings.addEventListener('click', () => this.clearWordTimings());
+        
+        // Voice selection dropdown: the voice becomes the preferred one for its language
+        this.voiceSelect.addEventListener('change', (e) => {
+            const voiceName = e.target.value;
+            const voice = this.engine.getVoices().find(v => v.name === voiceName);
+            if (!voice) return;
+            
+            const code = languageOf(voice.lang);
+            if (code === DEFAULT_LANGUAGE) {
+                this.voiceName = voice.name;
+                this.selectedVoice = voice;
+                this.saveSettings();
+            } else {
+                this.voicePreferences[code] = voice.name;
+                storeJSON('voices', this.voicePreferences);
+            }
+            
+            this.updateVoiceInfo();
+        });
+    }
+    
+    // ===== TEXT HANDLING =====
+    
+    async loadFromClipboard() {
+        try {
+            const text = await navigator.clipboard.readText();
+            if (text.trim()) {
+                await this.closeDocument();
+                this.setText(text);
+                this.showMessage('✓ Text aus Clipboard geladen');
+            } else {
+                this.showMessage('⚠ Clipboard ist leer');
+            }
+        } catch (err) {
+            this.showMessage('✗ Clipboard-Zugriff verweigert. Bitte Text manuell einfügen.');
+            console.error('Clipboard error:', err);
+        }
+    }
+    
+    saveAsText() {
+        const text = this.textArea.textContent;
         const filename = this.textName.value.trim() || 'quasselo-text';
         
-        const blob = new Blob([text], { type: 'text/plain;charset=utf-8' });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = filename + '.txt';
-        a.click();
-        URL.revokeObjectURL(url);
+        const blob = new Blob([text], { type: 'text/plain;charset=utf-8' });
+        this.downloadBlob(blob, filename + '.txt');
+        
+        this.showMessage('✓ Text als TXT gespeichert');
+    }
+    
+    // Replaces the text in the text area; the new text has to be prepared again
+    setText(text) {
+        this.stopReading();
+        this.hideWordPopover();
+        this.highlighter.detach();
+        this.textArea.textContent = text;
+        this.words = [];
+        this.resetWordTimings();
+        this.sentences = [];
+        this.paragraphs = [];
+        this.chapters = [];
+        this.clearLoop();
+        this.isPrepared = false;
+        this.resumeIndex = 0;
+        this.updateUI();
+        this.scheduleSave();
+    }
+    
+    prepareText(showResult = true) {
+        const text = this.textArea.textContent;
+        
+        if (!text.trim()) {
+            this.showMessage('⚠ Kein Text vorhanden');
+            return;
+        }
+        
+        this.setWords(this.tokenize(text));
+        this.highlighter.attach(this.words);
+        this.highlighter.set('heading', this.paragraphs
+            .filter(p => p.heading)
+            .map(p => ({ start: this.words[p.start].start, end: this.words[p.end].end })));
+        this.reanchorBookmarks();
+        this.clearLoop();
+        
+        this.currentIndex = 0;
+        this.resumeIndex = 0;
+        this.isPrepared = true;
+        this.calculateSentenceBoundaries();
+        this.renderSyllables();
+        
+        this.totalWordsDisplay.textContent = this.words.length;
+        this.currentPosDisplay.textContent = '0';
+        this.jumpPositionInput.max = this.words.length;
+        this.seekBar.max = Math.max(0, this.words.length - 1);
+        
+        this.updateUI();
+        this.scheduleSave();
+        if (showResult) {
+            this.showMessage(`✓ Text aufbereitet: ${this.words.length} Wörter`);
+        }
+    }
+    
+    // Token table: every word with its character offsets in the text area
+    // and whether a blank line follows it
+    tokenize(text) {
+        const tokens = [];
+        for (const match of text.matchAll(/(\S+)(\s*)/g)) {
+            tokens.push({
+                text: match[1],
+                start: match.index,
+                end: match.index + match[1].length,
+                paragraphBreak: /\n\s*\n/.test(match[2]),
+                lineBreak: match[2].includes('\n')
+            });
+        }
+        return tokens;
+    }
+    
+    // Pairs every token with its spoken form and splits the words into paragraphs,
+    // chapters and sentences { start, end, lang }. Only German sentences are normalized.
+    setWords(tokens) {
+        const texts = tokens.map(t => t.text);
+        const spoken = this.normalizer.normalizeTokens(texts);
+        
+        // Headings end a sentence like a paragraph break does
+        this.paragraphs = this.structure.analyze(tokens);
+        this.chapters = this.structure.chapters(this.paragraphs, tokens.length);
+        const paragraphBreaks = new Array(tokens.length).fill(false);
+        this.paragraphs.forEach(p => { paragraphBreaks[p.end] = true; });
+        
+        this.sentences = this.segmenter.segment(texts, paragraphBreaks);
+        const languages = this.languageDetector.detectSentences(texts, this.sentences, paragraphBreaks);
+        this.sentences.forEach((sentence, s) => {
+            sentence.lang = languages[s];
+            for (let i = sentence.start; i <= sentence.end; i++) {
+                if (LANGUAGE_MARKER.test(texts[i])) {
+                    spoken[i] = '';
+                } else if (sentence.lang !== DEFAULT_LANGUAGE) {
+                    spoken[i] = texts[i];
+                }
+            }
+        });
+        
+        // Timings belong to the words; preparing the same text again keeps them
+        const unchanged = tokens.length === this.words.length &&
+            tokens.every((t, i) => t.text === this.words[i].text && t.start === this.words[i].start);
+        this.words = tokens.map((t, i) => ({ text: t.text, spoken: spoken[i], start: t.start, end: t.end }));
+        if (!unchanged) this.resetWordTimings();
+    }
+    
+    getLanguageAt(wordIndex) {
+        const sentence = this.sentences[this.findSentenceIndex(wordIndex)];
+        return sentence ? sentence.lang : DEFAULT_LANGUAGE;
+    }
+    
+    calculateSentenceBoundaries() {
+        if (this.currentIndex >= this.words.length) return;
+        
+        const sentence = this.sentences[this.findSentenceIndex(this.currentIndex)];
+        if (sentence) {
+            this.currentSentenceStart = sentence.start;
+            this.currentSentenceEnd = sentence.end;
+        }
+    }
+    
+    findSentenceIndex(wordIndex) {
+        return this.findRangeIndex(this.sentences, wordIndex);
+    }
+    
+    findParagraphIndex(wordIndex) {
+        return this.findRangeIndex(this.paragraphs, wordIndex);
+    }
+    
+    findChapterIndex(wordIndex) {
+        return this.findRangeIndex(this.chapters, wordIndex);
+    }
+    
+    // Silence after a word that ends a paragraph, longer around headings
+    getPauseAfter(wordIndex) {
+        const index = this.findParagraphIndex(wordIndex);
+        const paragraph = this.paragraphs[index];
+        if (!paragraph || paragraph.end !== wordIndex) return 0;
+        
+        const next = this.paragraphs[index + 1];
+        return paragraph.heading || (next && next.heading) ? HEADING_PAUSE_MS : PARAGRAPH_PAUSE_MS;
+    }
+    
+    // Binary search over the word ranges computed in prepareText()
+    findRangeIndex(ranges, wordIndex) {
+        let low = 0;
+        let high = ranges.length - 1;
+        
+        while (low <= high) {
+            const mid = (low + high) >> 1;
+            const range = ranges[mid];
+            if (wordIndex < range.start) {
+                high = mid - 1;
+            } else if (wordIndex > range.end) {
+                low = mid + 1;
+            } else {
+                return mid;
+            }
+        }
+        
+        return -1;
+    }
+    
+    async deleteAll() {
+        if (confirm('Wirklich alles löschen?')) {
+            // The text stays in the library, it is only closed here
+            await this.closeDocument();
+            this.textName.value = '';
+            this.setText('');
+            this.showMessage('✓ Alles gelöscht');
+        }
+    }
+    
+    // ===== TEXT CLEAN-UP =====
+    
+    // Offers the clean-up preview first when the rules would change more than whitespace
+    prepareWithCleanup() {
+        const text = this.textArea.textContent;
+        const cleaned = this.getCleanedText();
+        const collapse = (value) => value.replace(/\s+/g, ' ').trim();
+        
+        if (!text.trim() || cleaned === null || collapse(cleaned) === collapse(text)) {
+            this.prepareText();
+            return;
+        }
+        
+        this.showCleanup(true);
+    }
+    
+    showCleanup(prepareAfter = false) {
+        if (!this.textArea.textContent.trim()) {
+            this.showMessage('⚠ Kein Text vorhanden');
+            return;
+        }
+        
+        this.prepareAfterCleanup = prepareAfter;
+        this.btnCleanupApply.textContent = prepareAfter ? '✓ Übernehmen und aufbereiten' : '✓ Übernehmen';
+        this.renderCleanupRules();
+        this.updateCleanupPreview();
+        this.cleanupModal.classList.add('show');
+    }
+    
+    closeCleanup() {
+        this.cleanupModal.classList.remove('show');
+        this.cleanupResult = null;
+    }
+    
+    applyCleanup() {
+        const cleaned = this.cleanupResult;
+        const prepareAfter = this.prepareAfterCleanup;
+        this.closeCleanup();
+        
+        if (cleaned !== null && cleaned !== this.textArea.textContent) {
+            this.setText(cleaned);
+            if (!prepareAfter) {
+                this.showMessage('✓ Text bereinigt');
+            }
+        }
+        
+        if (prepareAfter) {
+            this.prepareText();
+        }
+    }
+    
+    getCleanedText() {
+        try {
+            return this.cleaner.clean(
+                this.textArea.textContent,
+                this.cleanupSettings.enabled,
+                this.cleanupSettings.custom
+            );
+        } catch (err) {
+            this.cleanupInfo.textContent = '⚠ ' + err.message;
+            return null;
+        }
+    }
+    
+    renderCleanupRules() {
+        this.cleanupRules.innerHTML = '';
+        CLEANUP_RULES.forEach(rule => {
+            const checkbox = this.createCleanupCheckbox(rule.label, this.cleaner.isEnabled(rule, this.cleanupSettings.enabled), (checked) => {
+                this.cleanupSettings.enabled[rule.id] = checked;
+            });
+            this.cleanupRules.appendChild(checkbox);
+        });
+        
+        this.cleanupCustomRules.innerHTML = '';
+        this.cleanupSettings.custom.forEach((rule, index) => {
+            const item = document.createElement('li');
+            item.appendChild(this.createCleanupCheckbox(`${rule.pattern} → „${rule.replacement}“`, rule.enabled !== false, (checked) => {
+                rule.enabled = checked;
+            }));
+            
+            const remove = document.createElement('button');
+            remove.className = 'close-btn';
+            remove.title = 'Regel löschen';
+            remove.textContent = '🗑️';
+            remove.addEventListener('click', () => {
+                this.cleanupSettings.custom.splice(index, 1);
+                this.saveCleanupSettings();
+                this.renderCleanupRules();
+            });
+            item.appendChild(remove);
+            
+            this.cleanupCustomRules.appendChild(item);
+        });
+    }
+    
+    createCleanupCheckbox(text, checked, onChange) {
+        const label = document.createElement('label');
+        label.className = 'cleanup-rule';
+        
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = checked;
+        checkbox.addEventListener('change', () => {
+            onChange(checkbox.checked);
+            this.saveCleanupSettings();
+        });
+        
+        label.appendChild(checkbox);
+        label.appendChild(document.createTextNode(' ' + text));
+        return label;
+    }
+    
+    addCleanupRule() {
+        const pattern = this.cleanupPattern.value;
+        if (!pattern) return;
+        
+        try {
+            compileUserPattern(pattern);
+        } catch (err) {
+            this.cleanupInfo.textContent = '⚠ ' + err.message;
+            return;
+        }
+        
+        this.cleanupSettings.custom.push({
+            pattern,
+            replacement: this.cleanupReplacement.value,
+            enabled: true
+        });
+        this.cleanupPattern.value = '';
+        this.cleanupReplacement.value = '';
+        this.saveCleanupSettings();
+    }
+    
+    saveCleanupSettings() {
+        storeJSON('cleanup', this.cleanupSettings);
+        this.renderCleanupRules();
+        this.updateCleanupPreview();
+    }
+    
+    updateCleanupPreview() {
+        this.cleanupPreview.innerHTML = '';
+        const before = this.textArea.textContent;
+        const after = this.getCleanedText();
+        this.cleanupResult = after;
+        if (after === null) return;
+        
+        if (after === before) {
+            this.cleanupInfo.textContent = 'Keine Änderungen';
+            return;
+        }
+        
+        const ops = this.cleaner.diff(before, after);
+        if (!ops) {
+            this.cleanupPreview.textContent = after;
+            this.cleanupInfo.textContent = 'Zu viele Änderungen für eine Gegenüberstellung – Vorschau des Ergebnisses';
+            return;
+        }
+        
+        // A replacement is a deletion followed by an insertion
+        const changes = ops.filter((op, i) => op.type !== 'same' && (i === 0 || ops[i - 1].type === 'same')).length;
+        this.cleanupInfo.textContent = `${changes} Änderung(en)`;
+        
+        ops.forEach((op, index) => {
+            if (op.type === 'same') {
+                this.cleanupPreview.appendChild(document.createTextNode(
+                    this.shortenUnchanged(op.text, index > 0, index < ops.length - 1)
+                ));
+                return;
+            }
+            
+            // Make removed and added line breaks visible
+            const element = document.createElement(op.type);
+            element.textContent = op.text.replace(/\n/g, '⏎\n');
+            this.cleanupPreview.appendChild(element);
+        });
+    }
+    
+    // Keeps only some context around the changes
+    shortenUnchanged(text, changeBefore, changeAfter) {
+        if (text.length <= 2 * DIFF_CONTEXT_CHARS) return text;
+        
+        const head = changeBefore ? text.slice(0, DIFF_CONTEXT_CHARS) : '';
+        const tail = changeAfter ? text.slice(-DIFF_CONTEXT_CHARS) : '';
+        return head + ' … ' + tail;
+    }
+    
+    // ===== IMPORT/EXPORT =====
+    
+    async exportData() {
+        if (!this.isPrepared) {
+            this.showMessage('⚠ Text muss erst aufbereitet werden');
+            return;
+        }
+        
+        const name = this.textName.value.trim() || 'unbenannt';
+        const zip = new ZipWriter();
+        
+        zip.addFile('manifest.json', JSON.stringify({
+            format: BUNDLE_FORMAT,
+            version: BUNDLE_VERSION,
+            name,
+            created: new Date().toISOString(),
+            files: ['text.txt', 'tokens.json', 'state.json']
+        }, null, 2));
+        zip.addFile('text.txt', this.textArea.textContent);
+        zip.addFile('tokens.json', JSON.stringify(this.words));
+        zip.addFile('state.json', JSON.stringify({
+            prepared: true,
+            position: this.currentIndex,
+            bookmarks: this.bookmarks,
+            settings: this.textSettingsOverride ? this.getTextSettings() : null
+        }, null, 2));
+        
+        this.downloadBlob(zip.toBlob(), name + BUNDLE_EXTENSION);
+        this.showMessage('✓ Daten exportiert');
+    }
+    
+    importData() {
+        this.fileInput.click();
+    }
+    
+    async handleFileImport(event) {
+        const file = event.target.files[0];
+        if (!file) return;
+        
+        await this.importFile(file);
+        
+        // Reset file input
+        event.target.value = '';
+    }
+    
+    // Bundles (.quasselo.zip, .json) restore a prepared text, word timings
+    // (.timings.json) drive the highlighting, other formats load plain text
+    async importFile(file) {
+        if (file.name.toLowerCase().endsWith(TIMINGS_EXTENSION)) {
+            await this.importTimings(file);
+            return;
+        }
+        
+        if (this.importer.formatOf(file.name)) {
+            try {
+                const imported = await this.importer.read(file);
+                
+                await this.closeDocument();
+                this.textName.value = imported.name;
+                this.setText(imported.text);
+                this.showMessage(`✓ „${imported.name}“ importiert`);
+            } catch (err) {
+                this.showMessage('✗ Import fehlgeschlagen: ' + err.message);
+                console.error('Import error:', err);
+            }
+            return;
+        }
+        
+        try {
+            const bundle = await this.readBundle(file);
+            
+            await this.closeDocument();
+            this.textName.value = bundle.name;
+            this.setText(bundle.text);
+            this.useTextSettings(Object.keys(bundle.settings).length ? bundle.settings : null);
+            this.bookmarks = bundle.bookmarks;
+            
+            // Spoken forms, offsets and sentences are derived again from the text
+            if (bundle.prepared) {
+                this.prepareText(false);
+                this.moveToWord(this.remapPosition(bundle.position, bundle.tokens));
+            }
+            
+            this.updateUI();
+            this.showMessage('✓ Daten importiert');
+        } catch (err) {
+            this.showMessage('✗ Import fehlgeschlagen: ' + err.message);
+            console.error('Import error:', err);
+        }
+    }
+    
+    // Reads a .quasselo.zip bundle or a version 1 JSON export and returns
+    // { name, text, prepared, position, tokens, bookmarks, settings }
+    async readBundle(file) {
+        const buffer = await file.arrayBuffer();
+        const head = new Uint8Array(buffer, 0, Math.min(4, buffer.byteLength));
+        
+        if (head[0] === 0x50 && head[1] === 0x4B) {
+            return this.readZipBundle(new ZipReader(buffer));
+        }
+        
+        const data = this.parseJSON(new TextDecoder().decode(buffer), file.name);
+        return this.migrateBundle(data);
+    }
+    
+    async readZipBundle(zip) {
+        if (!zip.has('manifest.json')) {
+            throw new Error('Keine Quasselo-Datei (manifest.json fehlt)');
+        }
+        
+        const manifest = this.parseJSON(await zip.readText('manifest.json'), 'manifest.json');
+        if (manifest.format !== BUNDLE_FORMAT) {
+            throw new Error('Unbekanntes Dateiformat');
+        }
+        if (!Number.isInteger(manifest.version) || manifest.version > BUNDLE_VERSION) {
+            throw new Error(`Version ${manifest.version} wird nicht unterstützt – bitte Quasselo aktualisieren`);
+        }
+        if (!zip.has('text.txt')) {
+            throw new Error('text.txt fehlt im Archiv');
+        }
+        
+        const text = await zip.readText('text.txt');
+        const state = zip.has('state.json') ? this.parseJSON(await zip.readText('state.json'), 'state.json') : {};
+        const tokens = zip.has('tokens.json') ? this.parseJSON(await zip.readText('tokens.json'), 'tokens.json') : null;
+        
+        return this.validateBundle({
+            name: manifest.name,
+            text,
+            prepared: state.prepared,
+            position: state.position,
+            tokens,
+            bookmarks: state.bookmarks,
+            settings: state.settings
+        });
+    }
+    
+    // Version 1: { name, text, words: [string], version: '1.0' }
+    migrateBundle(data) {
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw new Error('Unbekanntes Dateiformat');
+        }
+        if (data.version !== undefined && data.version !== '1.0') {
+            throw new Error(`Version ${data.version} wird nicht unterstützt`);
+        }
+        
+        const words = Array.isArray(data.words) ? data.words.map(w => typeof w === 'string' ? w : w && w.text) : null;
+        const text = typeof data.text === 'string' && data.text ? data.text : (words || []).join(' ');
+        
+        return this.validateBundle({
+            name: data.name,
+            text,
+            prepared: !!words,
+            position: 0,
+            tokens: null,
+            bookmarks: [],
+            settings: {}
+        });
+    }
+    
+    validateBundle(bundle) {
+        if (typeof bundle.text !== 'string' || !bundle.text.trim()) {
+            throw new Error('Die Datei enthält keinen Text');
+        }
+        if (bundle.tokens !== null && bundle.tokens !== undefined) {
+            const valid = Array.isArray(bundle.tokens) && bundle.tokens.every(t =>
+                t && typeof t.text === 'string' && Number.isInteger(t.start) && Number.isInteger(t.end));
+            if (!valid) throw new Error('tokens.json ist beschädigt');
+        }
+        
+        return {
+            name: typeof bundle.name === 'string' && bundle.name.trim() ? bundle.name.trim() : 'unbenannt',
+            text: bundle.text,
+            prepared: bundle.prepared !== false,
+            position: Number.isInteger(bundle.position) && bundle.position >= 0 ? bundle.position : 0,
+            tokens: bundle.tokens || null,
+            bookmarks: Array.isArray(bundle.bookmarks) ? this.validateBookmarks(bundle.bookmarks) : [],
+            settings: bundle.settings && typeof bundle.settings === 'object' ? bundle.settings : {}
+        };
+    }
+    
+    // Bookmarks without an anchor are placed by index when the text is prepared
+    validateBookmarks(bookmarks) {
+        return bookmarks
+            .filter(b => b && typeof b.name === 'string' && Number.isInteger(b.index) && b.index >= 0)
+            .map(b => ({
+                id: typeof b.id === 'string' && b.id ? b.id : this.library.createId(),
+                name: b.name,
+                note: typeof b.note === 'string' ? b.note : '',
+                index: b.index,
+                anchor: this.anchors.isValid(b.anchor) ? b.anchor : null
+            }));
+    }
+    
+    parseJSON(text, filename) {
+        try {
+            return JSON.parse(text);
+        } catch (err) {
+            throw new Error(`${filename} ist keine gültige JSON-Datei`);
+        }
+    }
+    
+    // Tokens may differ when the text was prepared by another version,
+    // so the stored position is carried over by character offset
+    remapPosition(position, tokens) {
+        if (!tokens || !tokens[position]) return position;
+        
+        const offset = tokens[position].start;
+        const index = this.words.findIndex(w => w.end > offset);
+        return index >= 0 ? index : position;
+    }
+    
+    // Settings that are stored globally, in profiles and with a text
+    getTextSettings() {
+        return {
+            speechRate: this.speechRate,
+            pitch: this.pitch,
+            volume: this.volume,
+            fontSize: this.fontSize,
+            syllables: this.showSyllables,
+            voiceName: this.voiceName || (this.selectedVoice ? this.selectedVoice.name : null)
+        };
+    }
+    
+    applyTextSettings(settings) {
+        if (typeof settings.speechRate === 'number') {
+            this.speechRate = settings.speechRate;
+            this.speedSlider.value = settings.speechRate;
+            this.speedValue.textContent = this.speechRate.toFixed(1);
+        }
+        if (typeof settings.pitch === 'number') {
+            this.pitch = settings.pitch;
+            this.pitchSlider.value = settings.pitch;
+            this.pitchValue.textContent = this.pitch.toFixed(1);
+        }
+        if (typeof settings.volume === 'number') {
+            this.volume = settings.volume;
+            this.volumeSlider.value = settings.volume;
+            this.volumeValue.textContent = Math.round(this.volume * 100);
+        }
+        if (typeof settings.fontSize === 'number') {
+            this.fontSize = settings.fontSize;
+            this.fontSizeSlider.value = settings.fontSize;
+            this.fontSizeValue.textContent = this.fontSize;
+            this.textArea.style.fontSize = this.fontSize + 'px';
+        }
+        if (typeof settings.syllables === 'boolean') {
+            this.showSyllables = settings.syllables;
+            this.syllableCheckbox.checked = settings.syllables;
+            this.renderSyllables();
+        }
+        if (settings.voiceName !== undefined) {
+            // Resolved when speaking; falls back to another German voice if missing
+            this.voiceName = settings.voiceName;
+            this.selectedVoice = null;
+            const voice = this.getPreferredVoice();
+            if (voice) {
+                this.voiceSelect.value = voice.name;
+                this.updateVoiceInfo();
+            }
+        }
+    }
+    
+    downloadBlob(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        a.click();
+        URL.revokeObjectURL(url);
+    }
+    
+    // ===== TEXT-TO-SPEECH =====
+    
+    playOrResume() {
+        console.log('=== playOrResume called ===');
+        console.log('State before: isPrepared:', this.isPrepared, 'isPlaying:', this.isPlaying, 'isPaused:', this.isPaused, 'currentIndex:', this.currentIndex);
+        
+        if (!this.isPrepared) {
+            this.showMessage('⚠ Text muss erst aufbereitet werden');
+            return;
+        }
+        
+        // Always cancel any ongoing speech first
+        this.cancelSpeech();
+        
+        if (this.isPaused || !this.isPlaying) {
+            // Start or resume from current position
+            console.log('→ Starting/Resuming playback from index:', this.currentIndex);
+            this.isPaused = false;
+            this.isPlaying = true;
+            
+            // If at the end, restart from beginning
+            if (this.currentIndex >= this.words.length) {
+                this.currentIndex = 0;
+                this.calculateSentenceBoundaries();
+                console.log('→ Restarting from beginning');
+            }
+            
+            try {
+                this.speakEntireText();
+                console.log('✓ Playback started');
+            } catch (e) {
+                console.error('✗ Playback failed:', e);
+                this.isPlaying = false;
+            }
+        } else {
+            console.log('→ Already playing');
+        }
+        
+        console.log('State after: isPlaying:', this.isPlaying, 'isPaused:', this.isPaused);
+        this.updateUI();
+    }
+    
+    pause() {
+        console.log('=== pause called ===');
+        console.log('State before: isPrepared:', this.isPrepared, 'isPlaying:', this.isPlaying, 'isPaused:', this.isPaused);
+        
+        if (!this.isPrepared) {
+            this.showMessage('⚠ Text muss erst aufbereitet werden');
+            return;
+        }
+        
+        if (this.isPlaying) {
+            console.log('→ Pausing playback at index:', this.currentIndex);
+            try {
+                // Mobile workaround: Cancel instead of pause
+                // The current position is already tracked in currentIndex via onboundary
+                this.cancelSpeech();
+                this.isPaused = true;
+                this.isPlaying = false;
+                console.log('✓ Pause successful (stopped at word', this.currentIndex + 1, ')');
+            } catch (e) {
+                console.error('✗ Pause failed:', e);
+            }
+        } else {
+            console.log('→ Not playing, cannot pause');
+        }
+        
+        console.log('State after: isPlaying:', this.isPlaying, 'isPaused:', this.isPaused);
+        this.updateUI();
+    }
+    
+    // Space bar and headset button: pause while playing, otherwise play or resume
+    togglePlayPause() {
+        if (this.isPlaying) {
+            this.pause();
+        } else {
+            this.playOrResume();
+        }
+    }
+    
+    stopReading() {
+        this.cancelSpeech();
+        this.isPlaying = false;
+        this.isPaused = false;
+        this.currentIndex = 0;
+        this.currentPosDisplay.textContent = '0';
+        this.highlightWord(null);
+        this.updateUI();
+    }
+    
+    speakEntireText() {
+        console.log('>>> speakEntireText called, currentIndex:', this.currentIndex, 'words.length:', this.words.length);
+        
+        if (this.loop && (this.currentIndex < this.loop.start || this.currentIndex > this.loop.end)) {
+            this.currentIndex = this.loop.start;
+        }
+        
+        if (this.currentIndex >= this.words.length) {
+            this.stopReading();
+            this.showMessage('✓ Vorlesen beendet');
+            return;
+        }
+        
+        // Cancel any ongoing speech and start a fresh queue from the current position
+        this.cancelSpeech();
+        this.playbackQueue = [this.getChunkFrom(this.currentIndex)];
+        this.fillPlaybackQueue();
+        this.speakNextChunk(this.playbackSession);
+    }
+    
+    // Cancels speech and invalidates callbacks of utterances that are still in flight
+    cancelSpeech() {
+        this.playbackSession++;
+        this.currentChunk = null;
+        this.stopTimingClock();
+        this.stopWatchdog();
+        this.stopProgressEstimate();
+        this.stopSyllableSteps();
+        this.engine.cancel();
+    }
+    
+    // Keeps the chunk after the current one ready in the queue;
+    // an A–B loop starts over at its beginning
+    fillPlaybackQueue() {
+        const last = this.playbackQueue[this.playbackQueue.length - 1];
+        if (this.playbackQueue.length >= 2 || !last) return;
+        
+        if (this.loop && last.end >= this.loop.end) {
+            this.playbackQueue.push(this.getChunkFrom(this.loop.start));
+        } else if (last.end + 1 < this.words.length) {
+            this.playbackQueue.push(this.getChunkFrom(last.end + 1));
+        }
+    }
+    
+    // A chunk runs from start to the end of its sentence,
+    // split at a comma or after MAX_CHUNK_WORDS / MAX_CHUNK_CHARS for long sentences.
+    // Practice mode by phrase always splits at commas.
+    getChunkFrom(start) {
+        const sentence = this.sentences[this.findSentenceIndex(start)];
+        let sentenceEnd = sentence ? sentence.end : this.words.length - 1;
+        if (this.loop && start <= this.loop.end) {
+            sentenceEnd = Math.min(sentenceEnd, this.loop.end);
+        }
+        const byPhrase = this.practiceMode && this.practice.unit === 'phrase';
+        
+        let end = start;
+        let chars = 0;
+        let lastPause = -1;
+        
+        for (let i = start; i <= sentenceEnd; i++) {
+            chars += this.words[i].spoken.length + 1;
+            if (i > start && (i - start >= MAX_CHUNK_WORDS || chars > MAX_CHUNK_CHARS)) {
+                // Prefer to break after punctuation in the second half of the chunk
+                end = lastPause > start + (i - start) / 2 ? lastPause : i - 1;
+                return { start, end };
+            }
+            if (/[,;:–—]$/.test(this.words[i].text)) lastPause = i;
+            end = i;
+            if (byPhrase && lastPause === i) break;
+        }
+        
+        return { start, end };
+    }
+    
+    speakNextChunk(session) {
+        if (session !== this.playbackSession || !this.isPlaying) return;
+        
+        const chunk = this.playbackQueue.shift();
+        if (!chunk) {
+            this.stopReading();
+            this.showMessage('✓ Vorlesen beendet');
+            return;
+        }
+        this.fillPlaybackQueue();
+        this.currentChunk = chunk;
+        
+        // Speed and voice are read per chunk, so changes apply from the next sentence on
+        const { text, offsets } = this.buildSpokenText(chunk.start, chunk.end + 1);
+        
+        // Chunks never cross a sentence, so one language fits the whole chunk
+        const rate = chunk.repeat && this.practice.slowRepeat ? this.speechRate * PRACTICE_SLOW_FACTOR : this.speechRate;
+        this.utterance = this.createUtterance(text, this.getLanguageAt(chunk.start), rate);
+        
+        // Track word boundaries for highlighting
+        // Spoken forms can contain several words ("z.B." → "zum Beispiel"),
+        // so the boundary's charIndex is mapped back to the displayed word
+        let wordBoundaryIndex = chunk.start;
+        const weights = this.buildWordWeights(chunk.start, chunk.end + 1);
+        const watchdog = this.startWatchdog(session, weights.total, rate);
+        const importedTimings = this.timingsImported && !!this.wordTimings[chunk.start];
+        let startedAt = 0;
+        
+        this.utterance.onboundary = (event) => {
+            if (session !== this.playbackSession || event.name !== 'word') return;
+            watchdog.started = true;
+            watchdog.hasBoundaries = true;
+            this.lastSpeechActivity = Date.now();
+            
+            // Imported timings keep driving the highlight
+            if (importedTimings) return;
+            
+            // Real boundaries win over the time estimate
+            if (this.boundariesUnsupported || this.estimateTimer) {
+                this.boundariesUnsupported = false;
+                this.stopProgressEstimate();
+            }
+            
+            if (typeof event.charIndex === 'number') {
+                wordBoundaryIndex = chunk.start + this.findWordAtChar(offsets, event.charIndex);
+            }
+            
+            if (wordBoundaryIndex <= chunk.end) {
+                this.recordWordTiming(wordBoundaryIndex, rate);
+                this.setCurrentWord(wordBoundaryIndex);
+                wordBoundaryIndex++;
+            }
+        };
+        
+        this.utterance.onstart = () => {
+            if (session !== this.playbackSession) return;
+            watchdog.started = true;
+            startedAt = Date.now();
+            this.lastSpeechActivity = startedAt;
+            this.startTimingClock();
+            
+            // Estimate right away if this engine is known to skip boundaries or
+            // the words have timings, otherwise switch to estimation when no
+            // boundary arrives in time
+            if (this.boundariesUnsupported || this.wordTimings[chunk.start]) {
+                this.startProgressEstimate(session, chunk, weights, startedAt, rate);
+            } else {
+                this.boundaryFallbackTimer = setTimeout(() => {
+                    if (session !== this.playbackSession || watchdog.hasBoundaries) return;
+                    console.log('No word boundaries from this voice, estimating progress');
+                    this.boundariesUnsupported = true;
+                    this.startProgressEstimate(session, chunk, weights, startedAt, rate);
+                }, BOUNDARY_FALLBACK_MS);
+            }
+        };
+        
+        this.utterance.onend = () => {
+            if (session !== this.playbackSession || !this.isPlaying) return;
+            this.stopWatchdog();
+            this.stopProgressEstimate();
+            this.endWordTiming();
+            if (startedAt) {
+                this.calibrateSpeechSpeed(weights.total, Date.now() - startedAt, rate);
+            }
+            this.playbackRetries = 0;
+            this.currentIndex = chunk.end + 1;
+            
+            if (this.sleepTimer && this.sleepTimer.expired && this.isSleepStop(chunk.end)) {
+                this.finishSleepTimer();
+                return;
+            }
+            
+            if (this.practiceMode) {
+                this.continuePractice(session, chunk);
+                return;
+            }
+            
+            const pause = this.getPauseAfter(chunk.end);
+            if (pause) {
+                setTimeout(() => this.speakNextChunk(session), pause);
+            } else {
+                this.speakNextChunk(session);
+            }
+        };
+        
+        this.utterance.onpause = () => {
+            console.log('TTS paused');
+        };
+        
+        this.utterance.onresume = () => {
+            console.log('TTS resumed');
+        };
+        
+        this.utterance.onerror = (err) => {
+            if (session !== this.playbackSession) return;
+            console.error('✗ TTS error:', err);
+            console.error('Error type:', err.error);
+            console.error('Error message:', err.message);
+            this.handlePlaybackFailure(err.error, session);
+        };
+        
+        this.engine.speak(this.utterance);
+    }
+    
+    // Moves the reading position to a word that is being spoken
+    setCurrentWord(index) {
+        this.highlightWord(index);
+        this.stepSyllables(index);
+        this.currentPosDisplay.textContent = index + 1;
+        this.currentIndex = index;
+        this.calculateSentenceBoundaries();
+        this.updateProgress();
+        this.savePosition();
+    }
+    
+    // ===== PRACTICE MODE =====
+    
+    togglePracticeMode() {
+        this.practiceMode = !this.practiceMode;
+        this.btnPractice.classList.toggle('active', this.practiceMode);
+        
+        const unit = this.practice.unit === 'phrase' ? 'Satzteil für Satzteil' : 'Satz für Satz';
+        this.showMessage(this.practiceMode ? `🎓 Übungsmodus: ${unit}` : '✓ Übungsmodus beendet');
+        
+        // Queued chunks were cut for the other mode
+        if (this.isPlaying) this.speakEntireText();
+    }
+    
+    // After each unit: repeat it, then wait for the gap or until Hören is tapped
+    continuePractice(session, chunk) {
+        const repeat = (chunk.repeat || 0) + 1;
+        if (repeat < this.practice.repeats) {
+            this.currentIndex = chunk.start;
+            this.playbackQueue.unshift({ start: chunk.start, end: chunk.end, repeat });
+            setTimeout(() => this.speakNextChunk(session), PRACTICE_REPEAT_PAUSE_MS);
+            return;
+        }
+        
+        // Nothing left to wait for at the end of the text
+        if (!this.playbackQueue.length) {
+            this.speakNextChunk(session);
+            return;
+        }
+        
+        if (!this.practice.gap) {
+            this.pause();
+            this.showMessage('👆 Weiter mit 🔊 Hören');
+            return;
+        }
+        
+        const gap = Math.max(this.practice.gap, this.getPauseAfter(chunk.end));
+        setTimeout(() => this.speakNextChunk(session), gap);
+    }
+    
+    // A–B loop over the selected words, or over the current sentence without a selection
+    toggleLoop() {
+        if (!this.isPrepared) return;
+        
+        if (this.loop) {
+            this.clearLoop();
+            this.showMessage('✓ Schleife aufgehoben');
+            return;
+        }
+        
+        this.loop = this.getSelectedWords() || { start: this.currentSentenceStart, end: this.currentSentenceEnd };
+        this.highlighter.set('loop', [{ start: this.words[this.loop.start].start, end: this.words[this.loop.end].end }]);
+        this.btnLoop.classList.add('active');
+        this.showMessage(`🔂 Schleife: Wort ${this.loop.start + 1} bis ${this.loop.end + 1}`);
+        
+        if (this.isPlaying) {
+            this.jumpToWord(this.loop.start, true);
+        } else {
+            this.moveToWord(this.loop.start);
+        }
+    }
+    
+    clearLoop() {
+        this.loop = null;
+        this.highlighter.clear('loop');
+        this.btnLoop.classList.remove('active');
+    }
+    
+    // Word range of the text selection inside the text area, or null
+    getSelectedWords() {
+        const selection = window.getSelection();
+        if (!selection.rangeCount || selection.isCollapsed) return null;
+        
+        const range = selection.getRangeAt(0);
+        if (!this.textArea.contains(range.commonAncestorContainer)) return null;
+        
+        const from = this.highlighter.offsetAt(range.startContainer, range.startOffset);
+        const to = this.highlighter.offsetAt(range.endContainer, range.endOffset);
+        let start = this.highlighter.wordIndexAt(from);
+        if (this.words[start].end <= from) start++; // Selection starts behind a word
+        const end = this.highlighter.wordIndexAt(Math.max(from, to - 1));
+        
+        return start <= end ? { start, end } : null;
+    }
+    
+    renderPracticeSettings() {
+        this.practiceUnit.value = this.practice.unit;
+        this.practiceGap.value = this.practice.gap;
+        this.practiceRepeats.value = this.practice.repeats;
+        this.practiceRepeatsValue.textContent = this.practice.repeats;
+        this.practiceSlowRepeat.checked = this.practice.slowRepeat;
+    }
+    
+    savePracticeSettings() {
+        storeJSON('practice', this.practice);
+        this.renderPracticeSettings();
+    }
+    
+    // ===== SYLLABLES =====
+    
+    // Colours every other syllable of the German words
+    renderSyllables() {
+        const layers = [[], []];
+        
+        if (this.showSyllables && this.isPrepared && this.highlighter.supported) {
+            this.words.forEach((word, index) => {
+                if (this.getLanguageAt(index) !== DEFAULT_LANGUAGE) return;
+                this.getSyllableRanges(index).forEach((range, i) => layers[i % 2].push(range));
+            });
+        }
+        
+        this.highlighter.set('syllable-a', layers[0]);
+        this.highlighter.set('syllable-b', layers[1]);
+    }
+    
+    // Character ranges of the syllables of a word in the text area
+    getSyllableRanges(index) {
+        let start = this.words[index].start;
+        return this.syllabifier.split(this.words[index].text).map(part => {
+            const range = { start, end: start + part.length };
+            start = range.end;
+            return range;
+        });
+    }
+    
+    // Slow playback: steps through the syllables of the word that is being spoken,
+    // timed from the calibrated speaking speed
+    stepSyllables(index) {
+        this.stopSyllableSteps();
+        
+        const rate = this.utterance ? this.utterance.rate : this.speechRate;
+        if (!this.showSyllables || rate > SYLLABLE_STEP_MAX_RATE || !this.highlighter.supported) return;
+        if (this.getLanguageAt(index) !== DEFAULT_LANGUAGE) return;
+        
+        const syllables = this.getSyllableRanges(index);
+        if (syllables.length < 2) return;
+        
+        const word = this.words[index];
+        const duration = (word.spoken.length + 1) / (this.charsPerSecond * rate) * 1000;
+        let step = 0;
+        
+        const show = () => {
+            const syllable = syllables[step];
+            this.highlighter.set('syllable', [syllable]);
+            step++;
+            this.syllableTimer = step < syllables.length
+                ? setTimeout(show, duration * (syllable.end - syllable.start) / (word.end - word.start))
+                : null;
+        };
+        show();
+    }
+    
+    stopSyllableSteps() {
+        clearTimeout(this.syllableTimer);
+        this.syllableTimer = null;
+        this.highlighter.clear('syllable');
+    }
+    
+    // ===== WORD ACTIONS =====
+    
+    // Tap or long-press on a word of the prepared text opens its actions
+    handleWordTap(e) {
+        if (!this.isPrepared) return;
+        
+        // Selecting text (e.g. for the A–B loop) is left alone
+        const selection = window.getSelection();
+        if (e.type === 'click' && selection && !selection.isCollapsed) return;
+        
+        const index = this.wordIndexAtPoint(e.clientX, e.clientY);
+        if (index === null) {
+            this.hideWordPopover();
+            return;
+        }
+        
+        if (e.type === 'contextmenu') e.preventDefault();
+        this.showWordPopover(index);
+    }
+    
+    // Word under a screen position. The caret position is turned into a textContent
+    // offset, the same offsets the words were cut from, so any whitespace in the
+    // editable text is counted as it is.
+    wordIndexAtPoint(x, y) {
+        let node;
+        let offset;
+        
+        if (document.caretPositionFromPoint) {
+            const position = document.caretPositionFromPoint(x, y);
+            if (!position) return null;
+            node = position.offsetNode;
+            offset = position.offset;
+        } else if (document.caretRangeFromPoint) {
+            const range = document.caretRangeFromPoint(x, y);
+            if (!range) return null;
+            node = range.startContainer;
+            offset = range.startOffset;
+        } else {
+            return null;
+        }
+        
+        if (!node || !this.textArea.contains(node)) return null;
+        
+        const position = this.highlighter.offsetAt(node, offset);
+        const index = this.highlighter.wordIndexAt(position);
+        const word = this.words[index];
+        return word && position >= word.start && position <= word.end ? index : null;
+    }
+    
+    showWordPopover(index) {
+        this.popoverIndex = index;
+        
+        const word = this.words[index];
+        this.wordPopoverTitle.textContent = this.syllabifier.split(this.getWordCore(index)).join('·');
+        this.wordPopover.classList.add('show');
+        
+        // Below the word, or above it near the bottom of the screen
+        const rect = this.highlighter.createRange(word.start, word.end).getBoundingClientRect();
+        const width = this.wordPopover.offsetWidth;
+        const height = this.wordPopover.offsetHeight;
+        const top = rect.bottom + 8 + height > window.innerHeight ? rect.top - height - 8 : rect.bottom + 8;
+        this.wordPopover.style.left = Math.max(5, Math.min(rect.left, window.innerWidth - width - 5)) + 'px';
+        this.wordPopover.style.top = Math.max(5, top) + 'px';
+    }
+    
+    hideWordPopover() {
+        this.wordPopover.classList.remove('show');
+        this.popoverIndex = null;
+    }
+    
+    // The word without surrounding punctuation
+    getWordCore(index) {
+        const text = this.words[index].text;
+        return text.replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '') || text;
+    }
+    
+    playFromWord(index) {
+        if (index === null || !this.isPrepared) return;
+        
+        this.cancelSpeech();
+        this.isPlaying = false;
+        this.moveToWord(index);
+        this.playOrResume();
+    }
+    
+    speakWordSlowly(index) {
+        if (index === null) return;
+        
+        const word = this.words[index];
+        this.speakWordParts(index, [{ text: this.lexicon.apply(word.spoken || word.text), range: null }],
+            Math.min(this.speechRate, SLOW_WORD_RATE));
+    }
+    
+    spellWord(index) {
+        if (index === null) return;
+        
+        const word = this.words[index];
+        const core = this.getWordCore(index);
+        const start = word.start + word.text.indexOf(core);
+        const letters = [...core].map((letter, i) => ({
+            text: SPELLING_NAMES[letter.toLowerCase()] || letter.toUpperCase(),
+            range: { start: start + i, end: start + i + 1 }
+        }));
+        this.speakWordParts(index, letters, this.speechRate);
+    }
+    
+    speakWordSyllables(index) {
+        if (index === null) return;
+        
+        const text = this.textArea.textContent;
+        const syllables = this.getSyllableRanges(index).map(range => ({
+            text: text.slice(range.start, range.end).replace(/[^\p{L}\p{N}]/gu, ''),
+            range
+        }));
+        this.speakWordParts(index, syllables.filter(part => part.text), Math.min(this.speechRate, SLOW_WORD_RATE));
+    }
+    
+    // Pauses reading at its position before something else is spoken
+    interruptPlayback() {
+        if (this.isPlaying) {
+            this.pause();
+        } else {
+            this.cancelSpeech();
+        }
+    }
+    
+    // Speaks parts of a word one after another, each marked while it is spoken
+    speakWordParts(index, parts, rate) {
+        this.interruptPlayback();
+        
+        const lang = this.getLanguageAt(index);
+        parts.forEach((part, i) => {
+            const utterance = this.createUtterance(part.text, lang, rate);
+            if (part.range) {
+                utterance.onstart = () => this.highlighter.set('syllable', [part.range]);
+            }
+            if (i === parts.length - 1) {
+                utterance.onend = () => this.highlighter.clear('syllable');
+            }
+            this.engine.speak(utterance);
+        });
+    }
+    
+    // ===== VOCABULARY =====
+    
+    // The word with its sentence as context, listed under the open text
+    async addToWordList(index) {
+        if (index === null || !this.isPrepared) return;
+        
+        // Entries refer to their text by its library entry
+        if (!this.documentId) await this.saveDocument();
+        
+        const word = this.getWordCore(index);
+        if (this.vocabulary.some(entry => entry.word === word && entry.documentId === this.documentId)) {
+            this.showMessage(`⚠ „${word}“ steht schon in der Wortliste`);
+            return;
+        }
+        
+        const sentence = this.sentences[this.findSentenceIndex(index)];
+        const context = sentence
+            ? this.textArea.textContent.slice(this.words[sentence.start].start, this.words[sentence.end].end)
+            : '';
+        this.vocabulary.push({
+            word,
+            context: context.replace(/\s+/g, ' '),
+            lang: this.getLanguageAt(index),
+            documentId: this.documentId,
+            documentName: this.textName.value.trim() || 'unbenannt',
+            addedAt: Date.now()
+        });
+        this.saveVocabulary();
+        this.showMessage(`⭐ „${word}“ zur Wortliste hinzugefügt`);
+    }
+    
+    addCurrentWordToList() {
+        if (!this.isPrepared) return;
+        return this.addToWordList(Math.min(this.currentIndex, this.words.length - 1));
+    }
+    
+    saveVocabulary() {
+        storeJSON('vocabulary', this.vocabulary);
+        if (this.vocabularyModal.classList.contains('show')) {
+            this.renderVocabulary();
+        }
+    }
+    
+    // Entries of the open text, or of all texts
+    getVocabularyEntries() {
+        if (this.vocabularyScope.value === 'all') return this.vocabulary;
+        return this.vocabulary.filter(entry => entry.documentId === this.documentId);
+    }
+    
+    showVocabulary() {
+        this.renderVocabulary();
+        this.vocabularyModal.classList.add('show');
+    }
+    
+    closeVocabulary() {
+        this.stopVocabularyPractice();
+        this.vocabularyModal.classList.remove('show');
+    }
+    
+    renderVocabulary() {
+        this.vocabularyList.innerHTML = '';
+        this.btnAddCurrentWord.disabled = !this.isPrepared;
+        
+        const all = this.vocabularyScope.value === 'all';
+        const entries = this.getVocabularyEntries();
+        
+        entries.forEach(entry => {
+            const item = document.createElement('li');
+            item.className = 'library-item' + (entry === this.vocabulary[this.vocabularyPracticeIndex] ? ' library-item-open' : '');
+            
+            const title = document.createElement('div');
+            title.className = 'library-title';
+            title.textContent = entry.word;
+            
+            const details = document.createElement('div');
+            details.className = 'library-details';
+            details.textContent = (entry.context ? `„${entry.context}“` : '') + (all ? ` · 📄 ${entry.documentName}` : '');
+            
+            const actions = document.createElement('div');
+            actions.className = 'library-actions';
+            [
+                ['🔊', 'Wort und Satz anhören', () => this.speakVocabularyEntry(entry)],
+                ['🗑️', 'Aus der Wortliste löschen', () => this.deleteVocabularyEntry(entry)]
+            ].forEach(([icon, label, handler]) => {
+                const button = document.createElement('button');
+                button.className = 'btn-icon';
+                button.textContent = icon;
+                button.title = label;
+                button.addEventListener('click', handler);
+                actions.appendChild(button);
+            });
+            
+            item.append(title, details, actions);
+            this.vocabularyList.appendChild(item);
+        });
+        
+        this.vocabularyInfo.textContent = entries.length
+            ? `${entries.length} Wort/Wörter`
+            : (all ? 'Die Wortliste ist leer' : 'Noch keine Wörter aus diesem Text') + ' – Wort im Text antippen und ⭐ wählen';
+    }
+    
+    deleteVocabularyEntry(entry) {
+        this.stopVocabularyPractice();
+        this.vocabulary = this.vocabulary.filter(e => e !== entry);
+        this.saveVocabulary();
+    }
+    
+    speakVocabularyEntry(entry) {
+        this.stopVocabularyPractice();
+        this.interruptPlayback();
+        this.speakVocabularySequence([entry], this.playbackSession);
+    }
+    
+    // Speaks the listed words one after another: word, then its sentence
+    toggleVocabularyPractice() {
+        if (this.vocabularyPracticeIndex !== null) {
+            this.stopVocabularyPractice();
+            return;
+        }
+        
+        const entries = this.getVocabularyEntries();
+        if (!entries.length) {
+            this.showMessage('⚠ Keine Wörter zum Üben');
+            return;
+        }
+        
+        this.interruptPlayback();
+        this.btnPracticeVocabulary.textContent = '⏹ Stopp';
+        this.speakVocabularySequence(entries, this.playbackSession);
+    }
+    
+    // Each step checks the session, so any other playback or stop ends the sequence
+    speakVocabularySequence(entries, session, position = 0) {
+        if (session !== this.playbackSession) return;
+        if (position >= entries.length) {
+            this.stopVocabularyPractice();
+            return;
+        }
+        
+        const entry = entries[position];
+        this.vocabularyPracticeIndex = this.vocabulary.indexOf(entry);
+        if (this.vocabularyModal.classList.contains('show')) this.renderVocabulary();
+        
+        const lang = entry.lang || DEFAULT_LANGUAGE;
+        const next = () => setTimeout(() => this.speakVocabularySequence(entries, session, position + 1), VOCABULARY_PAUSE_MS);
+        const word = this.createUtterance(this.buildSpokenSentence(entry.word, lang), lang);
+        word.onend = () => {
+            if (session !== this.playbackSession) return;
+            if (!entry.context) {
+                next();
+                return;
+            }
+            setTimeout(() => {
+                if (session !== this.playbackSession) return;
+                const sentence = this.createUtterance(this.buildSpokenSentence(entry.context, lang), lang);
+                sentence.onend = next;
+                this.engine.speak(sentence);
+            }, VOCABULARY_PAUSE_MS);
+        };
+        this.engine.speak(word);
+    }
+    
+    // Stored text spoken as the reader would: normalized when German, then the lexicon
+    buildSpokenSentence(text, lang) {
+        const tokens = text.split(/\s+/).filter(Boolean);
+        const spoken = lang === DEFAULT_LANGUAGE ? this.normalizer.normalizeTokens(tokens) : tokens;
+        return spoken.map(part => this.lexicon.apply(part)).filter(Boolean).join(' ');
+    }
+    
+    stopVocabularyPractice() {
+        if (this.vocabularyPracticeIndex === null) return;
+        
+        this.vocabularyPracticeIndex = null;
+        this.btnPracticeVocabulary.textContent = '▶ Üben';
+        this.cancelSpeech();
+        if (this.vocabularyModal.classList.contains('show')) this.renderVocabulary();
+    }
+    
+    exportVocabularyCsv() {
+        const entries = this.getVocabularyEntries();
+        if (!entries.length) {
+            this.showMessage('⚠ Die Wortliste ist leer');
+            return;
+        }
+        
+        const quote = value => '"' + String(value).replace(/"/g, '""') + '"';
+        const rows = [['Wort', 'Satz', 'Text', 'Hinzugefügt']].concat(entries.map(entry => [
+            entry.word,
+            entry.context,
+            entry.documentName,
+            new Date(entry.addedAt).toISOString().slice(0, 10)
+        ]));
+        
+        // The byte order mark lets spreadsheet programs read the file as UTF-8
+        const csv = '\uFEFF' + rows.map(row => row.map(quote).join(',')).join('\r\n') + '\r\n';
+        this.downloadBlob(new Blob([csv], { type: 'text/csv;charset=utf-8' }), 'quasselo-wortliste.csv');
+        this.showMessage('✓ Wortliste als CSV exportiert');
+    }
+    
+    // Tab-separated notes for Anki's text import: front, back, tags
+    exportVocabularyAnki() {
+        const entries = this.getVocabularyEntries();
+        if (!entries.length) {
+            this.showMessage('⚠ Die Wortliste ist leer');
+            return;
+        }
+        
+        // Anki reads the file with CSV rules, so quotes need quoting
+        const field = value => {
+            const text = String(value).replace(/[\t\r\n]+/g, ' ');
+            return text.includes('"') ? '"' + text.replace(/"/g, '""') + '"' : text;
+        };
+        const lines = [
+            '#separator:tab',
+            '#html:false',
+            '#tags column:3'
+        ].concat(entries.map(entry => [
+            field(entry.word),
+            field(entry.context),
+            'quasselo ' + field(entry.documentName).replace(/\s+/g, '_')
+        ].join('\t')));
+        
+        this.downloadBlob(new Blob([lines.join('\n') + '\n'], { type: 'text/plain;charset=utf-8' }), 'quasselo-anki.txt');
+        this.showMessage('✓ Wortliste für Anki exportiert');
+    }
+    
+    // ===== PROGRESS ESTIMATION =====
+    
+    // Relative speaking time of a word
+    getWordWeight(word) {
+        return word.spoken ? speakingWeight(word.spoken) : 0;
+    }
+    
+    // Cumulative weights of words[from..to), used to map elapsed time to a word
+    buildWordWeights(from, to) {
+        const offsets = [];
+        let total = 0;
+        
+        for (let i = from; i < to; i++) {
+            offsets.push(total);
+            total += this.getWordWeight(this.words[i]);
+        }
+        
+        return { offsets, total };
+    }
+    
+    // Estimates the current word from elapsed time while the engine stays silent
+    // Follows recorded or imported word timings when the chunk has them
+    startProgressEstimate(session, chunk, weights, startedAt, rate) {
+        this.stopProgressEstimate();
+        const timed = this.getTimedOffsets(chunk, rate);
+        
+        this.estimateTimer = setInterval(() => {
+            if (session !== this.playbackSession || !this.isPlaying) {
+                this.stopProgressEstimate();
+                return;
+            }
+            
+            const elapsed = (Date.now() - startedAt) / 1000;
+            let index;
+            if (timed) {
+                index = timed.filter(word => word.at <= elapsed).pop().index;
+            } else {
+                const spokenWeight = elapsed * this.charsPerSecond * rate;
+                index = chunk.start + this.findWordAtChar(weights.offsets, spokenWeight);
+            }
+            
+            if (index !== this.currentIndex && index <= chunk.end) {
+                this.setCurrentWord(index);
+            }
+        }, ESTIMATE_INTERVAL_MS);
+    }
+    
+    stopProgressEstimate() {
+        if (this.estimateTimer) {
+            clearInterval(this.estimateTimer);
+            this.estimateTimer = null;
+        }
+        if (this.boundaryFallbackTimer) {
+            clearTimeout(this.boundaryFallbackTimer);
+            this.boundaryFallbackTimer = null;
+        }
+    }
+    
+    // Adjusts the speaking speed from how long a chunk actually took (onend)
+    calibrateSpeechSpeed(weight, durationMs, rate) {
+        if (durationMs < 500 || weight < 20) return;
+        
+        const measured = weight / (durationMs / 1000) / rate;
+        const clamped = Math.min(40, Math.max(5, measured));
+        this.charsPerSecond = this.charsPerSecond * 0.7 + clamped * 0.3;
+    }
+    
+    // ===== WORD TIMINGS =====
+    
+    resetWordTimings() {
+        this.wordTimings = [];
+        this.timingsImported = false; // Imported timings are kept, not overwritten by new readings
+        this.timingClock = { elapsed: 0, resumedAt: null };
+        this.lastTimedIndex = null;
+    }
+    
+    // Reading time stands still between play sessions, so pauses do not end up in the timings
+    startTimingClock() {
+        if (this.timingClock.resumedAt === null) this.timingClock.resumedAt = Date.now();
+    }
+    
+    stopTimingClock() {
+        this.endWordTiming();
+        const clock = this.timingClock;
+        if (clock.resumedAt === null) return;
+        clock.elapsed += Date.now() - clock.resumedAt;
+        clock.resumedAt = null;
+    }
+    
+    getTimingClock() {
+        const clock = this.timingClock;
+        return (clock.elapsed + (clock.resumedAt === null ? 0 : Date.now() - clock.resumedAt)) / 1000;
+    }
+    
+    // A word boundary starts a word and ends the one before
+    recordWordTiming(index, rate) {
+        if (this.timingsImported) return;
+        this.endWordTiming();
+        this.wordTimings[index] = { start: this.getTimingClock(), end: null, rate };
+        this.lastTimedIndex = index;
+    }
+    
+    endWordTiming() {
+        const timing = this.wordTimings[this.lastTimedIndex];
+        if (timing && timing.end === null) timing.end = this.getTimingClock();
+        this.lastTimedIndex = null;
+    }
+    
+    // Seconds after the chunk starts at which its words begin, scaled to the
+    // current rate; null when the first word of the chunk has no timing
+    getTimedOffsets(chunk, rate) {
+        const first = this.wordTimings[chunk.start];
+        if (!first) return null;
+        
+        const offsets = [];
+        for (let i = chunk.start; i <= chunk.end; i++) {
+            const timing = this.wordTimings[i];
+            if (timing && timing.start >= first.start) {
+                offsets.push({ index: i, at: (timing.start - first.start) * timing.rate / rate });
+            }
+        }
+        return offsets;
+    }
+    
+    // Timed words in text order: { index, start, end, rate }
+    getTimedWords() {
+        const words = [];
+        this.wordTimings.forEach((timing, index) => {
+            if (timing) words.push({ index, start: timing.start, end: timing.end === null ? timing.start : timing.end, rate: timing.rate });
+        });
+        return words;
+    }
+    
+    renderTimingInfo() {
+        const count = this.getTimedWords().length;
+        this.timingInfo.textContent = count
+            ? `${count} von ${this.words.length} Wörtern mit Zeitmarken`
+            : 'Noch keine Zeitmarken – sie entstehen beim Vorlesen';
+        this.btnExportVtt.disabled = !count;
+        this.btnExportTimings.disabled = !count;
+        this.btnClearTimings.disabled = !count;
+    }
+    
+    clearWordTimings() {
+        this.resetWordTimings();
+        this.renderTimingInfo();
+        this.showMessage('✓ Zeitmarken verworfen');
+    }
+    
+    // One cue per sentence, with the start of each further word as a timestamp
+    // inside the cue: { count, vtt }, or null without timings
+    buildTimingsVtt() {
+        const text = this.textArea.textContent;
+        const cues = [];
         
-        this.showMessage('✓ Text als TXT gespeichert');
+        this.sentences.forEach(sentence => {
+            const timed = [];
+            for (let i = sentence.start; i <= sentence.end; i++) {
+                if (this.wordTimings[i]) timed.push(i);
+            }
+            if (!timed.length) return;
+            
+            const start = Math.min(...timed.map(i => this.wordTimings[i].start));
+            const end = Math.max(...timed.map(i => this.wordTimings[i].end || this.wordTimings[i].start));
+            let cueText = '';
+            for (let i = sentence.start; i <= sentence.end; i++) {
+                const word = this.words[i];
+                const timing = this.wordTimings[i];
+                if (i > sentence.start) {
+                    cueText += escapeVtt(text.slice(this.words[i - 1].end, word.start).replace(/\s+/g, ' '));
+                    if (timing && timing.start > start && timing.start < end) cueText += `<${formatVttTime(timing.start)}>`;
+                }
+                cueText += escapeVtt(word.text);
+            }
+            cues.push({ start, end: Math.max(end, start + 0.001), text: cueText });
+        });
+        if (!cues.length) return null;
+        
+        cues.sort((a, b) => a.start - b.start);
+        return { count: cues.length, vtt: 'WEBVTT\n\n' + cues.map((cue, i) =>
+            `${i + 1}\n${formatVttTime(cue.start)} --> ${formatVttTime(cue.end)}\n${cue.text}\n`
+        ).join('\n') };
+    }
+    
+    exportTimingsVtt() {
+        const result = this.buildTimingsVtt();
+        if (!result) {
+            this.showMessage('⚠ Noch keine Zeitmarken – erst vorlesen lassen');
+            return;
+        }
+        
+        const name = this.textName.value.trim() || 'quasselo-text';
+        this.downloadBlob(new Blob([result.vtt], { type: 'text/vtt;charset=utf-8' }), name + '.vtt');
+        this.showMessage(`✓ ${result.count} Untertitel exportiert`);
+    }
+    
+    exportTimingsJson() {
+        const words = this.getTimedWords();
+        if (!words.length) {
+            this.showMessage('⚠ Noch keine Zeitmarken – erst vorlesen lassen');
+            return;
+        }
+        
+        const round = value => Math.round(value * 1000) / 1000;
+        const name = this.textName.value.trim() || 'quasselo-text';
+        const json = JSON.stringify({
+            format: TIMINGS_FORMAT,
+            version: TIMINGS_VERSION,
+            name,
+            text: this.textArea.textContent,
+            words: words.map(timing => ({
+                text: this.words[timing.index].text,
+                offset: this.words[timing.index].start,
+                start: round(timing.start),
+                end: round(timing.end),
+                rate: timing.rate
+            }))
+        }, null, 2);
+        
+        this.downloadBlob(new Blob([json], { type: 'application/json' }), name + TIMINGS_EXTENSION);
+        this.showMessage(`✓ Zeitmarken für ${words.length} Wörter exportiert`);
+    }
+    
+    // Loads the text of the file unless it is already open; words are found
+    // again by character offset, so the timings survive a new preparation
+    async importTimings(file) {
+        try {
+            const data = this.parseJSON(new TextDecoder().decode(await file.arrayBuffer()), file.name);
+            if (!data || data.format !== TIMINGS_FORMAT) {
+                throw new Error('Unbekanntes Dateiformat');
+            }
+            if (!Number.isInteger(data.version) || data.version > TIMINGS_VERSION) {
+                throw new Error(`Version ${data.version} wird nicht unterstützt – bitte Quasselo aktualisieren`);
+            }
+            
+            const entries = (Array.isArray(data.words) ? data.words : []).filter(w =>
+                w && typeof w.text === 'string' && Number.isInteger(w.offset) &&
+                typeof w.start === 'number' && typeof w.end === 'number' && w.end >= w.start);
+            if (!entries.length) {
+                throw new Error('Die Datei enthält keine Zeitmarken');
+            }
+            
+            if (typeof data.text === 'string' && data.text.trim() && data.text !== this.textArea.textContent) {
+                await this.closeDocument();
+                this.textName.value = typeof data.name === 'string' && data.name.trim() ? data.name.trim() : 'unbenannt';
+                this.setText(data.text);
+            }
+            if (!this.isPrepared) this.prepareText(false);
+            if (!this.isPrepared) return;
+            
+            const indexAt = new Map(this.words.map((word, index) => [word.start, index]));
+            let applied = 0;
+            entries.forEach(entry => {
+                const index = indexAt.get(entry.offset);
+                if (index === undefined || this.words[index].text !== entry.text) return;
+                const rate = typeof entry.rate === 'number' && entry.rate > 0 ? entry.rate : 1;
+                this.wordTimings[index] = { start: entry.start, end: entry.end, rate };
+                applied++;
+            });
+            
+            if (!applied) {
+                throw new Error('Die Zeitmarken passen nicht zum Text');
+            }
+            this.timingsImported = true;
+            
+            this.renderTimingInfo();
+            this.showMessage(`✓ Zeitmarken für ${applied} Wörter importiert`);
+        } catch (err) {
+            this.showMessage('✗ Import fehlgeschlagen: ' + err.message);
+            console.error('Import error:', err);
+        }
+    }
+    
+    // ===== PROGRESS BAR =====
+    
+    // Built once per preparation; a new words array means a new text
+    getWordTimeline() {
+        if (!this.wordTimeline || this.wordTimeline.words !== this.words) {
+            this.wordTimeline = { words: this.words, ...this.buildWordWeights(0, this.words.length) };
+        }
+        return this.wordTimeline;
+    }
+    
+    // Seek bar, elapsed and remaining time at the current speed, and percentage;
+    // while the bar is dragged it shows the position under the thumb
+    updateProgress() {
+        if (!this.isPrepared || !this.words.length) {
+            this.seekBar.value = 0;
+            this.elapsedTimeDisplay.textContent = formatDuration(0);
+            this.remainingTimeDisplay.textContent = '-' + formatDuration(0);
+            this.progressPercentDisplay.textContent = '0 %';
+            return;
+        }
+        
+        const index = this.seeking ? parseInt(this.seekBar.value) : this.currentIndex;
+        const { offsets, total } = this.getWordTimeline();
+        const done = offsets[Math.min(index, offsets.length - 1)];
+        const charsPerSecond = this.charsPerSecond * this.speechRate;
+        
+        this.seekBar.value = index;
+        this.elapsedTimeDisplay.textContent = formatDuration(done / charsPerSecond);
+        this.remainingTimeDisplay.textContent = '-' + formatDuration((total - done) / charsPerSecond);
+        this.progressPercentDisplay.textContent = (total ? Math.round(done / total * 100) : 0) + ' %';
+        this.seekBar.title = `Wort ${index + 1} von ${this.words.length}`;
+    }
+    
+    seekTo(index) {
+        this.seeking = false;
+        if (!this.isPrepared) return;
+        this.jumpToWord(index, this.isPlaying);
+    }
+    
+    // ===== SLEEP TIMER =====
+    
+    renderSleepSettings() {
+        this.sleepMinutes.value = this.sleepSettings.minutes;
+        this.sleepStopAt.value = this.sleepSettings.stopAt;
+    }
+    
+    toggleSleepTimer() {
+        if (this.sleepTimer) {
+            this.clearSleepTimer();
+            this.showMessage('✓ Schlaftimer aus');
+            return;
+        }
+        
+        const { minutes, stopAt } = this.sleepSettings;
+        this.sleepTimer = {
+            deadline: Date.now() + minutes * 60000,
+            interval: setInterval(() => this.updateSleepTimer(), SLEEP_TIMER_TICK_MS),
+            expired: false
+        };
+        this.updateSleepTimer();
+        this.showMessage(`🌙 Schlaftimer: Stopp nach ${minutes} Minuten am ${stopAt === 'paragraph' ? 'Absatzende' : 'Satzende'}`);
+    }
+    
+    // Counts down on the button; once the time is up playback stops at the next end
+    updateSleepTimer() {
+        const timer = this.sleepTimer;
+        const left = Math.max(0, timer.deadline - Date.now());
+        
+        if (!left) {
+            timer.expired = true;
+            clearInterval(timer.interval);
+            
+            // Nothing is playing, so there is nothing to stop
+            if (!this.isPlaying) {
+                this.clearSleepTimer();
+                this.showMessage('🌙 Schlaftimer abgelaufen');
+                return;
+            }
+        }
+        
+        this.btnSleepTimer.textContent = '🌙 ' + Math.ceil(left / 60000);
+        this.btnSleepTimer.classList.add('active');
+    }
+    
+    isSleepStop(index) {
+        const ranges = this.sleepSettings.stopAt === 'paragraph' ? this.paragraphs : this.sentences;
+        const range = ranges[this.findRangeIndex(ranges, index)];
+        return !range || range.end === index;
+    }
+    
+    finishSleepTimer() {
+        this.clearSleepTimer();
+        this.pause();
+        this.showMessage('🌙 Gute Nacht! Der Schlaftimer hat das Vorlesen angehalten');
+    }
+    
+    clearSleepTimer() {
+        if (this.sleepTimer) clearInterval(this.sleepTimer.interval);
+        this.sleepTimer = null;
+        this.btnSleepTimer.textContent = '🌙';
+        this.btnSleepTimer.classList.remove('active');
+    }
+    
+    // ===== PLAYBACK WATCHDOG =====
+    
+    // Notices an engine that never starts or stops sending events without onend.
+    // Engines without boundary events only report onend, so the allowed
+    // silence grows with the expected duration of the chunk.
+    startWatchdog(session, weight, rate) {
+        this.stopWatchdog();
+        this.lastSpeechActivity = Date.now();
+        
+        const watchdog = { started: false, hasBoundaries: false };
+        const expectedMs = weight / (this.charsPerSecond * rate) * 1000;
+        
+        this.watchdogTimer = setInterval(() => {
+            if (session !== this.playbackSession || !this.isPlaying) {
+                this.stopWatchdog();
+                return;
+            }
+            
+            let limit = this.engine.startTimeout;
+            if (watchdog.started) {
+                limit = watchdog.hasBoundaries ? WATCHDOG_SILENCE_MS : Math.max(WATCHDOG_SILENCE_MS, expectedMs * 1.5);
+            }
+            
+            if (Date.now() - this.lastSpeechActivity > limit) {
+                console.warn('Watchdog: no TTS event for', limit, 'ms');
+                this.handlePlaybackFailure('stalled', session);
+            }
+        }, 1000);
+        
+        return watchdog;
+    }
+    
+    stopWatchdog() {
+        if (this.watchdogTimer) {
+            clearInterval(this.watchdogTimer);
+            this.watchdogTimer = null;
+        }
+    }
+    
+    // Retries from the last confirmed word (currentIndex only moves on boundary
+    // and end events) a limited number of times, then gives up with a message
+    handlePlaybackFailure(reason, session) {
+        if (session !== this.playbackSession || !this.isPlaying) return;
+        
+        const failure = PLAYBACK_ERRORS[reason] || PLAYBACK_ERRORS.default;
+        console.warn('Playback failure:', reason, '- retries so far:', this.playbackRetries);
+        this.cancelSpeech();
+        
+        if (failure.retry && this.playbackRetries < MAX_PLAYBACK_RETRIES) {
+            this.playbackRetries++;
+            this.showMessage(`⚠ ${failure.message} – neuer Versuch (${this.playbackRetries}/${MAX_PLAYBACK_RETRIES})`);
+            setTimeout(() => {
+                if (this.isPlaying) this.speakEntireText();
+            }, failure.delay * this.playbackRetries);
+            return;
+        }
+        
+        this.playbackRetries = 0;
+        this.isPlaying = false;
+        this.isPaused = true;
+        this.highlightWord(this.currentIndex);
+        this.updateUI();
+        this.showMessage(`✗ ${failure.message} (bei Wort ${this.currentIndex + 1})`, {
+            label: '↻ Ab hier erneut',
+            handler: () => this.playOrResume()
+        });
+    }
+    
+    createUtterance(text, lang = DEFAULT_LANGUAGE, rate = this.speechRate) {
+        const utterance = this.engine.createUtterance(text);
+        utterance.rate = rate;
+        utterance.pitch = this.pitch;
+        utterance.volume = this.volume;
+        
+        // Set preferred voice; without one the browser picks a voice for the language
+        const preferredVoice = this.getPreferredVoice(lang);
+        if (preferredVoice) {
+            utterance.voice = preferredVoice;
+            utterance.lang = preferredVoice.lang;
+        } else {
+            utterance.lang = LANGUAGE_LOCALES[lang] || lang;
+            console.warn('No voice for language', lang);
+        }
+        
+        return utterance;
+    }
+    
+    // Joins the spoken forms of words[from..to) and records where each word starts
+    buildSpokenText(from, to) {
+        const offsets = [];
+        let text = '';
+        
+        for (let i = from; i < to; i++) {
+            const spoken = this.lexicon.apply(this.words[i].spoken);
+            if (spoken && text) text += ' ';
+            offsets.push(text.length);
+            text += spoken;
+        }
+        
+        return { text, offsets };
+    }
+    
+    // Binary search: last word whose spoken form starts at or before charIndex
+    findWordAtChar(offsets, charIndex) {
+        let low = 0;
+        let high = offsets.length - 1;
+        let result = 0;
+        
+        while (low <= high) {
+            const mid = (low + high) >> 1;
+            if (offsets[mid] <= charIndex) {
+                result = mid;
+                low = mid + 1;
+            } else {
+                high = mid - 1;
+            }
+        }
+        
+        return result;
+    }
+    
+    // ===== NAVIGATION =====
+    
+    previousWord() {
+        if (!this.isPrepared) return;
+        
+        // Stop current playback
+        const wasPlaying = this.isPlaying;
+        this.cancelSpeech();
+        this.isPlaying = false;
+        this.isPaused = false;
+        
+        if (this.currentIndex > 0) {
+            this.currentIndex--;
+            this.calculateSentenceBoundaries();
+            this.currentPosDisplay.textContent = this.currentIndex + 1;
+            
+            // Speak the word
+            this.speakSingleWord();
+        }
+        
+        this.savePosition();
+        this.updateUI();
+    }
+    
+    nextWord() {
+        if (!this.isPrepared) return;
+        
+        // Stop current playback
+        const wasPlaying = this.isPlaying;
+        this.cancelSpeech();
+        this.isPlaying = false;
+        this.isPaused = false;
+        
+        if (this.currentIndex < this.words.length - 1) {
+            this.currentIndex++;
+            this.calculateSentenceBoundaries();
+            this.currentPosDisplay.textContent = this.currentIndex + 1;
+            
+            // Speak the word
+            this.speakSingleWord();
+        }
+        
+        this.savePosition();
+        this.updateUI();
+    }
+    
+    repeatWord() {
+        if (!this.isPrepared) return;
+        
+        // Stop current playback
+        this.cancelSpeech();
+        this.isPlaying = false;
+        this.isPaused = false;
+        
+        // Simply speak the current word again
+        this.currentPosDisplay.textContent = this.currentIndex + 1;
+        this.speakSingleWord();
+        
+        this.updateUI();
+    }
+    
+    jumpToSentenceStart() {
+        if (!this.isPrepared) return;
+        
+        // Stop current playback
+        this.cancelSpeech();
+        this.isPlaying = false;
+        this.isPaused = false;
+        
+        this.calculateSentenceBoundaries();
+        this.currentIndex = this.currentSentenceStart;
+        this.currentPosDisplay.textContent = this.currentIndex + 1;
+        this.speakSingleWord();
+        
+        this.savePosition();
+        this.updateUI();
+    }
+    
+    jumpToSentenceEnd() {
+        if (!this.isPrepared) return;
+        
+        // Stop current playback
+        this.cancelSpeech();
+        this.isPlaying = false;
+        this.isPaused = false;
+        
+        this.calculateSentenceBoundaries();
+        this.currentIndex = this.currentSentenceEnd;
+        this.currentPosDisplay.textContent = this.currentIndex + 1;
+        this.speakSingleWord();
+        
+        this.savePosition();
+        this.updateUI();
+    }
+    
+    // The first press goes back to the start of the current sentence, the next to the previous one
+    jumpToPreviousSentence() {
+        this.jumpToPreviousRange(this.sentences, this.findSentenceIndex(this.currentIndex));
+    }
+    
+    jumpToNextSentence() {
+        this.jumpToNextRange(this.sentences, this.findSentenceIndex(this.currentIndex));
+    }
+    
+    jumpToPreviousParagraph() {
+        this.jumpToPreviousRange(this.paragraphs, this.findParagraphIndex(this.currentIndex));
+    }
+    
+    jumpToNextParagraph() {
+        this.jumpToNextRange(this.paragraphs, this.findParagraphIndex(this.currentIndex));
+    }
+    
+    jumpToPreviousChapter() {
+        this.jumpToPreviousRange(this.chapters, this.findChapterIndex(this.currentIndex));
+    }
+    
+    jumpToNextChapter() {
+        this.jumpToNextRange(this.chapters, this.findChapterIndex(this.currentIndex));
+    }
+    
+    jumpToPreviousRange(ranges, index) {
+        if (!this.isPrepared || index < 0) return;
+        
+        const range = ranges[index];
+        const playing = this.isPlaying;
+        const atStart = this.currentIndex === range.start;
+        this.jumpToWord(atStart && index > 0 ? ranges[index - 1].start : range.start, playing);
+    }
+    
+    jumpToNextRange(ranges, index) {
+        if (!this.isPrepared || index < 0 || index + 1 >= ranges.length) return;
+        this.jumpToWord(ranges[index + 1].start, this.isPlaying);
+    }
+    
+    // Continues playback from the new position, or speaks the word when stopped
+    jumpToWord(index, keepPlaying = false) {
+        this.cancelSpeech();
+        this.currentIndex = index;
+        this.calculateSentenceBoundaries();
+        this.currentPosDisplay.textContent = this.currentIndex + 1;
+        
+        if (keepPlaying) {
+            this.highlightWord(this.currentIndex);
+            this.speakEntireText();
+        } else {
+            this.speakSingleWord();
+        }
+        
+        this.savePosition();
+        this.updateUI();
     }
     
-    prepareText() {
-        const text = this.textArea.textContent.trim();
+    jumpToPosition() {
+        if (!this.isPrepared) return;
         
-        if (!text) {
-            this.showMessage('⚠ Kein Text vorhanden');
+        const pos = parseInt(this.jumpPositionInput.value);
+        if (isNaN(pos) || pos < 1 || pos > this.words.length) {
+            this.showMessage('⚠ Ungültige Position');
             return;
         }
         
-        // Split text into words (remove multiple spaces and newlines)
-        this.words = text
-            .split(/\s+/)
-            .filter(word => word.length > 0);
+        // Stop current playback
+        this.cancelSpeech();
+        this.isPlaying = false;
+        this.isPaused = false;
         
-        this.currentIndex = 0;
-        this.isPrepared = true;
+        this.currentIndex = pos - 1;
         this.calculateSentenceBoundaries();
+        this.currentPosDisplay.textContent = this.currentIndex + 1;
+        this.speakSingleWord();
+        this.jumpPositionInput.value = '';
         
-        this.totalWordsDisplay.textContent = this.words.length;
+        this.savePosition();
+        this.updateUI();
+    }
+    
+    resetToStart() {
+        this.currentIndex = 0;
+        this.calculateSentenceBoundaries();
         this.currentPosDisplay.textContent = '0';
-        this.jumpPositionInput.max = this.words.length;
-        
+        this.highlightWord(null);
+        this.cancelSpeech();
+        this.isPlaying = false;
+        this.isPaused = false;
+        this.savePosition();
         this.updateUI();
-        this.showMessage(`✓ Text aufbereitet: ${this.words.length} Wörter`);
     }
     
-    calculateSentenceBoundaries() {
+    speakSingleWord() {
         if (this.currentIndex >= this.words.length) return;
         
-        // Find sentence start (backwards from current position)
-        this.currentSentenceStart = this.currentIndex;
-        for (let i = this.currentIndex - 1; i >= 0; i--) {
-            const word = this.words[i];
-            if (word.match(/[.!?]$/)) {
-                this.currentSentenceStart = i + 1;
-                break;
-            }
-            if (i === 0) {
-                this.currentSentenceStart = 0;
-            }
-        }
+        const word = this.words[this.currentIndex];
+        this.highlightWord(this.currentIndex);
         
-        // Find sentence end (forwards from current position)
-        this.currentSentenceEnd = this.currentIndex;
-        for (let i = this.currentIndex; i < this.words.length; i++) {
-            const word = this.words[i];
-            if (word.match(/[.!?]$/)) {
-                this.currentSentenceEnd = i;
-                break;
-            }
-            if (i === this.words.length - 1) {
-                this.currentSentenceEnd = i;
-            }
-        }
-    }
-    
-    deleteAll() {
-        if (confirm('Wirklich alles löschen?')) {
-            this.textName.value = '';
-            this.textArea.textContent = '';
-            this.words = [];
-            this.currentIndex = 0;
-            this.isPrepared = false;
-            this.stopReading();
-            this.updateUI();
-            this.showMessage('✓ Alles gelöscht');
-        }
+        this.cancelSpeech();
+        const utterance = this.createUtterance(
+            this.lexicon.apply(word.spoken || word.text),
+            this.getLanguageAt(this.currentIndex)
+        );
+        this.engine.speak(utterance);
     }
     
-    // ===== IMPORT/EXPORT =====
+    // ===== PRONUNCIATION LEXICON =====
     
-    async exportData() {
-        if (!this.isPrepared) {
-            this.showMessage('⚠ Text muss erst aufbereitet werden');
-            return;
-        }
+    renderLexicon() {
+        this.lexiconList.innerHTML = '';
         
-        const data = {
-            name: this.textName.value.trim() || 'unbenannt',
-            text: this.textArea.textContent,
-            words: this.words,
-            version: '1.0'
+        const entries = [...this.lexicon.entries].sort((a, b) => a.match.localeCompare(b.match, 'de'));
+        entries.forEach(entry => {
+            const item = document.createElement('li');
+            item.className = 'lexicon-item';
+            
+            // Clicking an entry loads it into the form for editing
+            const text = document.createElement('span');
+            text.className = 'lexicon-text';
+            text.title = LEXICON_TYPES[entry.type] + ' – zum Bearbeiten antippen';
+            text.textContent = `${entry.type === 'regex' ? '' : '„'}${entry.match}${entry.type === 'regex' ? '' : '“'} → ${entry.replacement}`;
+            text.addEventListener('click', () => {
+                this.lexiconType.value = entry.type;
+                this.lexiconMatch.value = entry.match;
+                this.lexiconReplacement.value = entry.replacement;
+            });
+            item.appendChild(text);
+            
+            const test = document.createElement('button');
+            test.className = 'close-btn';
+            test.title = 'Probehören';
+            test.textContent = '🔊';
+            test.addEventListener('click', () => this.speakSample(entry.replacement));
+            item.appendChild(test);
+            
+            const remove = document.createElement('button');
+            remove.className = 'close-btn';
+            remove.title = 'Eintrag löschen';
+            remove.textContent = '🗑️';
+            remove.addEventListener('click', () => {
+                this.lexicon.remove(entry);
+                this.saveLexicon();
+            });
+            item.appendChild(remove);
+            
+            this.lexiconList.appendChild(item);
+        });
+        
+        this.lexiconInfo.textContent = entries.length
+            ? `${entries.length} Eintr${entries.length === 1 ? 'ag' : 'äge'} im Wörterbuch`
+            : 'Noch keine Einträge';
+    }
+    
+    readLexiconForm() {
+        const entry = {
+            type: this.lexiconType.value,
+            match: this.lexiconMatch.value.trim(),
+            replacement: this.lexiconReplacement.value.trim()
         };
         
-        const jsonBlob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+        if (!entry.match) {
+            this.lexiconInfo.textContent = '⚠ Bitte eine Schreibweise eingeben';
+            return null;
+        }
+        if (entry.type === 'regex') {
+            try {
+                compileUserPattern(entry.match);
+            } catch (err) {
+                this.lexiconInfo.textContent = '⚠ ' + err.message;
+                return null;
+            }
+        }
         
-        // Create ZIP using JSZip (we'll use a simple approach with just JSON for now)
-        // In production, you'd want to include JSZip library
-        const filename = data.name + '_quasselo.json';
-        const url = URL.createObjectURL(jsonBlob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = filename;
-        a.click();
-        URL.revokeObjectURL(url);
+        return entry;
+    }
+    
+    addLexiconEntry() {
+        const entry = this.readLexiconForm();
+        if (!entry) return;
         
-        this.showMessage('✓ Daten exportiert');
+        this.lexicon.add(entry);
+        this.lexiconMatch.value = '';
+        this.lexiconReplacement.value = '';
+        this.saveLexicon();
     }
     
-    importData() {
-        this.fileInput.click();
+    // Speaks the entry in the form as it would sound in a text
+    testLexiconEntry() {
+        const entry = this.readLexiconForm();
+        if (!entry) return;
+        
+        const preview = new PronunciationLexicon([entry]);
+        const sample = entry.type === 'regex' ? entry.replacement : entry.match;
+        this.speakSample(preview.apply(sample) || sample);
     }
     
-    async handleFileImport(event) {
+    speakSample(text) {
+        if (!text) return;
+        this.stopReading();
+        this.engine.speak(this.createUtterance(text));
+    }
+    
+    saveLexicon() {
+        storeJSON('lexicon', this.lexicon.entries);
+        this.renderLexicon();
+    }
+    
+    exportLexicon() {
+        if (!this.lexicon.entries.length) {
+            this.showMessage('⚠ Das Aussprache-Wörterbuch ist leer');
+            return;
+        }
+        
+        const json = JSON.stringify(this.lexicon.toFile(), null, 2);
+        this.downloadBlob(new Blob([json], { type: 'application/json' }), 'quasselo-aussprache.json');
+        this.showMessage('✓ Aussprache-Wörterbuch exportiert');
+    }
+    
+    // Imported entries are merged; entries with the same spelling are replaced
+    async handleLexiconImport(event) {
         const file = event.target.files[0];
         if (!file) return;
         
         try {
-            const text = await file.text();
-            const data = JSON.parse(text);
-            
-            if (data.name) this.textName.value = data.name;
-            if (data.text) this.textArea.textContent = data.text;
-            if (data.words && Array.isArray(data.words)) {
-                this.words = data.words;
-                this.isPrepared = true;
-                this.currentIndex = 0;
-                this.totalWordsDisplay.textContent = this.words.length;
-                this.currentPosDisplay.textContent = '0';
-                this.calculateSentenceBoundaries();
-            }
-            
-            this.updateUI();
-            this.showMessage('✓ Daten importiert');
+            const entries = this.lexicon.parseFile(this.parseJSON(new TextDecoder().decode(await file.arrayBuffer()), file.name));
+            entries.forEach(entry => this.lexicon.add({
+                type: entry.type,
+                match: entry.match,
+                replacement: entry.replacement
+            }));
+            this.saveLexicon();
+            this.showMessage(`✓ ${entries.length} Aussprache-Einträge importiert`);
         } catch (err) {
-            this.showMessage('✗ Import fehlgeschlagen');
-            console.error('Import error:', err);
+            this.showMessage('✗ Import fehlgeschlagen: ' + err.message);
+            console.error('Lexicon import error:', err);
         }
         
-        // Reset file input
         event.target.value = '';
     }
     
-    // ===== TEXT-TO-SPEECH =====
+    // ===== SETTINGS PROFILES =====
     
-    playOrResume() {
-        console.log('=== playOrResume called ===');
-        console.log('State before: isPrepared:', this.isPrepared, 'isPlaying:', this.isPlaying, 'isPaused:', this.isPaused, 'currentIndex:', this.currentIndex);
-        
-        if (!this.isPrepared) {
-            this.showMessage('⚠ Text muss erst aufbereitet werden');
-            return;
-        }
-        
-        // Always cancel any ongoing speech first
-        this.synth.cancel();
-        
-        if (this.isPaused || !this.isPlaying) {
-            // Start or resume from current position
-            console.log('→ Starting/Resuming playback from index:', this.currentIndex);
-            this.isPaused = false;
-            this.isPlaying = true;
-            
-            // If at the end, restart from beginning
-            if (this.currentIndex >= this.words.length) {
-                this.currentIndex = 0;
-                this.calculateSentenceBoundaries();
-                console.log('→ Restarting from beginning');
-            }
-            
-            try {
-                this.speakEntireText();
-                console.log('✓ Playback started');
-            } catch (e) {
-                console.error('✗ Playback failed:', e);
-                this.isPlaying = false;
-            }
+    // Changed settings belong to the open text if it has its own, otherwise they are global
+    saveSettings() {
+        this.profileSelect.value = '';
+        if (this.textSettingsOverride) {
+            this.scheduleSave();
         } else {
-            console.log('→ Already playing');
+            storeJSON('settings', this.getTextSettings());
         }
+    }
+    
+    // settings: the text's own settings, or null for the global ones
+    useTextSettings(settings) {
+        this.textSettingsOverride = !!settings;
+        this.textSettingsCheckbox.checked = this.textSettingsOverride;
+        this.applyTextSettings(settings || loadStoredJSON('settings', {}));
+    }
+    
+    renderProfiles() {
+        this.profileSelect.innerHTML = '<option value="">– Profil laden –</option>';
+        Object.keys(this.profiles).sort((a, b) => a.localeCompare(b, 'de')).forEach(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name;
+            this.profileSelect.appendChild(option);
+        });
+        this.btnDeleteProfile.disabled = !Object.keys(this.profiles).length;
+    }
+    
+    loadProfile(name) {
+        const profile = this.profiles[name];
+        if (!profile) return;
         
-        console.log('State after: isPlaying:', this.isPlaying, 'isPaused:', this.isPaused);
-        this.updateUI();
+        this.applyTextSettings(profile);
+        this.saveSettings();
+        this.profileSelect.value = name;
+        this.showMessage(`✓ Profil „${name}“ geladen`);
     }
     
-    pause() {
-        console.log('=== pause called ===');
-        console.log('State before: isPrepared:', this.isPrepared, 'isPlaying:', this.isPlaying, 'isPaused:', this.isPaused);
+    saveProfile() {
+        const name = (prompt('Name des Profils:', this.profileSelect.value || '') || '').trim();
+        if (!name) return;
         
-        if (!this.isPrepared) {
-            this.showMessage('⚠ Text muss erst aufbereitet werden');
+        this.profiles[name] = this.getTextSettings();
+        storeJSON('profiles', this.profiles);
+        this.renderProfiles();
+        this.profileSelect.value = name;
+        this.showMessage(`✓ Profil „${name}“ gespeichert`);
+    }
+    
+    deleteProfile() {
+        const name = this.profileSelect.value;
+        if (!name) {
+            this.showMessage('⚠ Bitte zuerst ein Profil auswählen');
             return;
         }
+        if (!confirm(`Profil „${name}“ löschen?`)) return;
         
-        if (this.isPlaying) {
-            console.log('→ Pausing playback at index:', this.currentIndex);
-            try {
-                // Mobile workaround: Cancel instead of pause
-                // The current position is already tracked in currentIndex via onboundary
-                this.synth.cancel();
-                this.isPaused = true;
-                this.isPlaying = false;
-                console.log('✓ Pause successful (stopped at word', this.currentIndex + 1, ')');
-            } catch (e) {
-                console.error('✗ Pause failed:', e);
-            }
-        } else {
-            console.log('→ Not playing, cannot pause');
-        }
+        delete this.profiles[name];
+        storeJSON('profiles', this.profiles);
+        this.renderProfiles();
+    }
+    
+    // ===== OFFLINE APP AND SHARING =====
+    
+    registerServiceWorker() {
+        if (!('serviceWorker' in navigator) || !/^https?:$/.test(location.protocol)) return;
         
-        console.log('State after: isPlaying:', this.isPlaying, 'isPaused:', this.isPaused);
-        this.updateUI();
+        navigator.serviceWorker.register('sw.js')
+            .catch(err => console.warn('Service worker registration failed:', err));
     }
     
-    togglePlayPause() {
-        console.log('=== togglePlayPause called ===');
-        console.log('isPrepared:', this.isPrepared);
-        console.log('isPlaying:', this.isPlaying);
-        console.log('isPaused:', this.isPaused);
+    // "Teilen → Quasselo" opens index.html?title=…&text=…&url=… (see manifest.webmanifest).
+    // Returns true when something was shared.
+    receiveSharedText() {
+        const params = new URLSearchParams(location.search);
+        const title = (params.get('title') || '').trim();
+        const url = (params.get('url') || '').trim();
+        let text = (params.get('text') || '').trim();
+        if (!title && !text && !url) return false;
         
-        if (!this.isPrepared) {
-            this.showMessage('⚠ Text muss erst aufbereitet werden');
-            return;
+        // Browsers often put the link into the text; a shared link is read by its title
+        if (url) {
+            text = text.replace(url, '').trim();
         }
+        text = text || title || url;
         
-        if (!this.isPlaying && !this.isPaused) {
-            // Start fresh from current position
-            console.log('→ Starting fresh');
-            this.isPlaying = true;
-            this.speakEntireText();
-        } else if (this.isPlaying) {
-            // Pause - save current word index
-            console.log('→ Pausing');
-            this.synth.pause();
-            this.isPaused = true;
-            this.isPlaying = false;
-        } else if (this.isPaused) {
-            // Resume from paused position
-            console.log('→ Resuming');
-            this.synth.resume();
-            this.isPaused = false;
-            this.isPlaying = true;
-        }
+        // A reload should not load the text again
+        history.replaceState(null, '', location.pathname);
         
-        this.updateUI();
-        console.log('After toggle - isPlaying:', this.isPlaying, 'isPaused:', this.isPaused);
+        this.closeDocument().then(() => {
+            this.textName.value = title || text.split(/\s+/).slice(0, 6).join(' ');
+            this.setText(text);
+            this.showMessage('✓ Geteilter Text empfangen', {
+                label: '✏️ Aufbereiten',
+                handler: () => this.prepareWithCleanup()
+            });
+        });
+        return true;
     }
     
-    stopReading() {
-        this.synth.cancel();
-        this.isPlaying = false;
-        this.isPaused = false;
-        this.currentIndex = 0;
-        this.currentPosDisplay.textContent = '0';
-        this.highlightWord(null);
-        this.updateUI();
+    // ===== LIBRARY =====
+    
+    // Saves the open document shortly after the last change
+    // Throttled, not debounced: a word change every few hundred milliseconds
+    // must not keep postponing the save
+    scheduleSave() {
+        if (this.saveTimer) return;
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            this.saveDocument();
+        }, LIBRARY_SAVE_DELAY_MS);
     }
     
-    speakEntireText() {
-        console.log('>>> speakEntireText called, currentIndex:', this.currentIndex, 'words.length:', this.words.length);
-        
-        if (this.currentIndex >= this.words.length) {
-            this.stopReading();
-            this.showMessage('✓ Vorlesen beendet');
-            return;
-        }
-        
-        // Get remaining text from current position
-        const remainingText = this.words.slice(this.currentIndex).join(' ');
-        console.log('Remaining text length:', remainingText.length, 'characters');
-        
-        // Cancel any ongoing speech
-        this.synth.cancel();
+    // The current word becomes the position the text reopens at
+    savePosition() {
+        this.resumeIndex = this.currentIndex;
+        this.scheduleSave();
+    }
+    
+    // Writes a scheduled save right away
+    async flushSave() {
+        if (!this.saveTimer) return;
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        await this.saveDocument();
+    }
+    
+    async saveDocument() {
+        const text = this.textArea.textContent;
+        if (!text.trim()) return;
         
-        // Create new utterance for entire remaining text
-        this.utterance = new SpeechSynthesisUtterance(remainingText);
-        this.utterance.lang = 'de-DE';
-        this.utterance.rate = this.speechRate;
-        this.utterance.pitch = 1;
+        // The untouched demo text is not worth a library entry
+        if (!this.documentId && !this.isPrepared && text === this.initialText) return;
         
-        // Set preferred voice
-        const preferredVoice = this.getPreferredVoice();
-        if (preferredVoice) {
-            this.utterance.voice = preferredVoice;
-            console.log('Using voice:', preferredVoice.name);
-        } else {
-            console.warn('No voice selected');
+        try {
+            const now = Date.now();
+            const existing = this.documentId ? await this.library.get(this.documentId) : null;
+            const entry = existing || { id: this.library.createId(), createdAt: now };
+            
+            Object.assign(entry, {
+                name: this.textName.value.trim() || 'unbenannt',
+                text,
+                prepared: this.isPrepared,
+                position: this.isPrepared ? this.resumeIndex : 0,
+                wordCount: this.isPrepared ? this.words.length : this.tokenize(text).length,
+                settings: this.textSettingsOverride ? this.getTextSettings() : null,
+                bookmarks: this.bookmarks,
+                updatedAt: now
+            });
+            
+            await this.library.put(entry);
+            this.documentId = entry.id;
+        } catch (err) {
+            console.warn('Library save failed:', err);
         }
+    }
+    
+    // Writes pending changes and detaches the text area from its library entry
+    async closeDocument() {
+        await this.flushSave();
+        this.documentId = null;
+        this.bookmarks = [];
         
-        // Track word boundaries for highlighting
-        let wordBoundaryIndex = this.currentIndex;
-        
-        this.utterance.onboundary = (event) => {
-            if (event.name === 'word' && wordBoundaryIndex < this.words.length) {
-                this.highlightWord(wordBoundaryIndex);
-                this.currentPosDisplay.textContent = wordBoundaryIndex + 1;
-                this.currentIndex = wordBoundaryIndex;
-                wordBoundaryIndex++;
-                this.calculateSentenceBoundaries();
-            }
-        };
-        
-        this.utterance.onstart = () => {
-            console.log('✓ TTS started speaking');
-        };
+        // The next text starts with the global settings again
+        if (this.textSettingsOverride) {
+            this.useTextSettings(null);
+        }
+    }
+    
+    async openDocument(id) {
+        const entry = await this.library.get(id);
+        if (!entry) {
+            this.showMessage('✗ Text nicht mehr in der Bibliothek');
+            return;
+        }
         
-        this.utterance.onend = () => {
-            console.log('TTS finished speaking');
-            if (this.isPlaying) {
-                this.currentIndex = this.words.length;
-                this.stopReading();
-                this.showMessage('✓ Vorlesen beendet');
-            }
-        };
+        await this.closeDocument();
+        this.setText(entry.text);
+        this.textName.value = entry.name;
+        this.documentId = entry.id;
+        this.useTextSettings(entry.settings || null);
+        this.bookmarks = entry.bookmarks || [];
         
-        this.utterance.onpause = () => {
-            console.log('TTS paused');
-        };
+        if (entry.prepared) {
+            this.prepareText(false);
+            this.moveToWord(entry.position);
+        }
         
-        this.utterance.onresume = () => {
-            console.log('TTS resumed');
-        };
+        this.closeLibrary();
+        this.showMessage(`✓ „${entry.name}“ geöffnet`);
+    }
+    
+    // Sets the reading position without speaking
+    moveToWord(index) {
+        if (!this.isPrepared || !this.words.length) return;
         
-        this.utterance.onerror = (err) => {
-            console.error('✗ TTS error:', err);
-            console.error('Error type:', err.error);
-            console.error('Error message:', err.message);
-            this.isPlaying = false;
-            this.updateUI();
-        };
+        this.currentIndex = Math.max(0, Math.min(index, this.words.length - 1));
+        this.calculateSentenceBoundaries();
+        this.currentPosDisplay.textContent = this.currentIndex > 0 ? this.currentIndex + 1 : '0';
+        this.highlightWord(this.currentIndex > 0 ? this.currentIndex : null);
+        this.savePosition();
+        this.updateUI();
+    }
+    
+    // Offers to continue the most recently used text at its last position
+    async offerLastDocument() {
+        try {
+            const [last] = await this.library.list();
+            if (!last) return;
+            
+            const where = last.prepared && last.position > 0 ? ` bei Wort ${last.position + 1}` : '';
+            this.showMessage(`📚 „${last.name}“${where} weiterlesen?`, {
+                label: '▶ Fortsetzen',
+                handler: () => this.openDocument(last.id)
+            });
+        } catch (err) {
+            console.warn('Library not available:', err);
+        }
+    }
+    
+    async showLibrary() {
+        this.libraryModal.classList.add('show');
         
-        console.log('Calling synth.speak()...');
-        this.synth.speak(this.utterance);
-        console.log('synth.speak() called, speaking:', this.synth.speaking, 'pending:', this.synth.pending);
+        // Pending changes should show up in the list
+        await this.flushSave();
+        await this.renderLibrary();
     }
     
-    // Legacy function kept for single word navigation
-    speakCurrentWord() {
-        if (this.currentIndex >= this.words.length) {
-            this.stopReading();
-            this.showMessage('✓ Vorlesen beendet');
-            return;
-        }
+    closeLibrary() {
+        this.libraryModal.classList.remove('show');
+    }
+    
+    async renderLibrary() {
+        this.libraryList.innerHTML = '';
         
-        // Determine how many words to speak together based on pause duration
-        // Shorter pause = more words together = more fluent
-        let wordsToSpeak = 1;
-        if (this.pauseDuration <= 300) {
-            wordsToSpeak = 5; // Very fluent
-        } else if (this.pauseDuration <= 600) {
-            wordsToSpeak = 3; // Medium fluent
-        } else if (this.pauseDuration <= 1000) {
-            wordsToSpeak = 2; // Less fluent
-        } else {
-            wordsToSpeak = 1; // Word by word
+        let entries;
+        try {
+            entries = await this.library.list();
+        } catch (err) {
+            this.libraryInfo.textContent = '⚠ ' + err.message;
+            return;
         }
         
-        // Get the words to speak
-        const endIndex = Math.min(this.currentIndex + wordsToSpeak, this.words.length);
-        const textToSpeak = this.words.slice(this.currentIndex, endIndex).join(' ');
-        
-        this.currentPosDisplay.textContent = this.currentIndex + 1;
-        this.highlightWord(this.currentIndex);
-        
-        // Cancel any ongoing speech
-        this.synth.cancel();
+        this.libraryInfo.textContent = entries.length
+            ? `${entries.length} Text(e) gespeichert`
+            : 'Noch keine Texte gespeichert';
         
-        // Create new utterance
-        this.utterance = new SpeechSynthesisUtterance(textToSpeak);
-        this.utterance.lang = 'de-DE';
-        this.utterance.rate = this.speechRate;
-        this.utterance.pitch = 1;
+        entries.forEach(entry => {
+            const item = document.createElement('li');
+            item.className = 'library-item' + (entry.id === this.documentId ? ' library-item-open' : '');
+            
+            const title = document.createElement('div');
+            title.className = 'library-title';
+            title.textContent = entry.name;
+            
+            const details = document.createElement('div');
+            details.className = 'library-details';
+            const date = new Date(entry.updatedAt).toLocaleDateString('de-DE');
+            const position = entry.prepared && entry.position > 0 ? ` · bei Wort ${entry.position + 1}` : '';
+            details.textContent = `${date} · ${entry.wordCount} Wörter${position}`;
+            
+            const actions = document.createElement('div');
+            actions.className = 'library-actions';
+            [
+                ['📖', 'Öffnen', () => this.openDocument(entry.id)],
+                ['✏️', 'Umbenennen', () => this.renameDocument(entry.id)],
+                ['⧉', 'Duplizieren', () => this.duplicateDocument(entry.id)],
+                ['🗑️', 'Löschen', () => this.deleteDocument(entry.id)]
+            ].forEach(([icon, label, handler]) => {
+                const button = document.createElement('button');
+                button.className = 'btn-icon';
+                button.textContent = icon;
+                button.title = label;
+                button.addEventListener('click', handler);
+                actions.appendChild(button);
+            });
+            
+            item.append(title, details, actions);
+            this.libraryList.appendChild(item);
+        });
+    }
+    
+    async renameDocument(id) {
+        const entry = await this.library.get(id);
+        if (!entry) return;
         
-        // Track word boundaries for highlighting during speech
-        let wordBoundaryIndex = this.currentIndex;
-        this.utterance.onboundary = (event) => {
-            if (event.name === 'word' && wordBoundaryIndex < endIndex) {
-                this.highlightWord(wordBoundaryIndex);
-                this.currentPosDisplay.textContent = wordBoundaryIndex + 1;
-                wordBoundaryIndex++;
-            }
-        };
+        const name = prompt('Neuer Name:', entry.name);
+        if (!name || !name.trim()) return;
         
-        this.utterance.onend = () => {
-            if (this.isPlaying) {
-                this.currentIndex = endIndex;
-                this.calculateSentenceBoundaries();
-                
-                // Small pause between chunks (only for word-by-word mode)
-                const chunkPause = wordsToSpeak === 1 ? this.pauseDuration : 100;
-                setTimeout(() => this.speakCurrentWord(), chunkPause);
-            }
-        };
+        entry.name = name.trim();
+        await this.library.put(entry);
+        if (id === this.documentId) this.textName.value = entry.name;
+        await this.renderLibrary();
+    }
+    
+    async duplicateDocument(id) {
+        const entry = await this.library.get(id);
+        if (!entry) return;
         
-        this.utterance.onerror = (err) => {
-            console.error('Speech error:', err);
-            this.isPlaying = false;
-            this.updateUI();
-        };
+        const now = Date.now();
+        await this.library.put({
+            ...entry,
+            id: this.library.createId(),
+            name: entry.name + ' (Kopie)',
+            createdAt: now,
+            updatedAt: now
+        });
+        await this.renderLibrary();
+    }
+    
+    async deleteDocument(id) {
+        const entry = await this.library.get(id);
+        if (!entry || !confirm(`„${entry.name}“ aus der Bibliothek löschen?`)) return;
         
-        this.synth.speak(this.utterance);
+        await this.library.delete(id);
+        if (id === this.documentId) {
+            // The text stays on screen; it is saved as a new entry once it changes
+            clearTimeout(this.saveTimer);
+            this.saveTimer = null;
+            this.documentId = null;
+        }
+        await this.renderLibrary();
+        this.showMessage('✓ Aus der Bibliothek gelöscht');
     }
     
-    // ===== NAVIGATION =====
+    // ===== TABLE OF CONTENTS =====
     
-    previousWord() {
+    showToc() {
         if (!this.isPrepared) return;
+        this.renderToc();
+        this.tocModal.classList.add('show');
+    }
+    
+    closeToc() {
+        this.tocModal.classList.remove('show');
+    }
+    
+    // Lists the headings, or the paragraphs of a text without headings
+    renderToc() {
+        this.tocList.innerHTML = '';
         
-        // Stop current playback
-        const wasPlaying = this.isPlaying;
-        this.synth.cancel();
-        this.isPlaying = false;
-        this.isPaused = false;
+        const headings = this.paragraphs.map((p, index) => index).filter(index => this.paragraphs[index].heading);
+        const entries = headings.length ? headings : this.paragraphs.map((p, index) => index);
+        const text = this.textArea.textContent;
+        const current = this.findParagraphIndex(this.currentIndex);
         
-        if (this.currentIndex > 0) {
-            this.currentIndex--;
-            this.calculateSentenceBoundaries();
-            this.currentPosDisplay.textContent = this.currentIndex + 1;
+        entries.forEach((index, e) => {
+            const paragraph = this.paragraphs[index];
+            const title = text.slice(this.words[paragraph.start].start, this.words[paragraph.end].end)
+                .replace(/^#+\s*/, '');
             
-            // Speak the word
-            this.speakSingleWord();
-        }
+            const item = document.createElement('li');
+            const button = document.createElement('button');
+            button.className = 'toc-item toc-level-' + (paragraph.heading || 2);
+            button.textContent = title.length > 80 ? title.slice(0, 80) + ' …' : title;
+            
+            // The section the reading position is in
+            const next = entries[e + 1];
+            if (current >= index && (next === undefined || current < next)) {
+                button.classList.add('toc-current');
+            }
+            
+            button.addEventListener('click', () => {
+                this.closeToc();
+                this.jumpToWord(paragraph.start, this.isPlaying);
+            });
+            
+            item.appendChild(button);
+            this.tocList.appendChild(item);
+        });
         
-        this.updateUI();
+        this.tocInfo.textContent = headings.length
+            ? `${headings.length} Überschrift(en), ${this.paragraphs.length} Absätze`
+            : `Keine Überschriften gefunden – ${this.paragraphs.length} Absätze`;
     }
     
-    nextWord() {
+    // ===== TEXT STATISTICS =====
+    
+    showStatistics() {
         if (!this.isPrepared) return;
+        this.renderStatistics();
+        this.statsModal.classList.add('show');
+    }
+    
+    closeStatistics() {
+        this.statsModal.classList.remove('show');
+    }
+    
+    renderStatistics() {
+        this.statsTable.innerHTML = '';
+        this.hardestList.innerHTML = '';
         
-        // Stop current playback
-        const wasPlaying = this.isPlaying;
-        this.synth.cancel();
-        this.isPlaying = false;
-        this.isPaused = false;
+        const stats = this.statistics.analyze(this.words, this.sentences);
+        if (!stats) {
+            this.statsInfo.textContent = 'Der Text enthält keine Wörter.';
+            return;
+        }
         
-        if (this.currentIndex < this.words.length - 1) {
-            this.currentIndex++;
-            this.calculateSentenceBoundaries();
-            this.currentPosDisplay.textContent = this.currentIndex + 1;
+        const number = (value, digits = 1) => value.toLocaleString('de-DE', { maximumFractionDigits: digits });
+        const rows = [
+            ['Sätze', number(stats.sentences)],
+            ['Wörter', number(stats.words)],
+            ['Ø Satzlänge', number(stats.wordsPerSentence) + ' Wörter'],
+            ['Ø Wortlänge', number(stats.lettersPerWord) + ' Buchstaben, ' + number(stats.syllablesPerWord) + ' Silben'],
+            [`Lange Wörter (ab ${LONG_WORD_LETTERS} Buchstaben)`, number(stats.longWordShare) + ' %'],
+            ['Lesbarkeit (Flesch-Amstad)', number(stats.fleschAmstad, 0) + ' – ' + stats.fleschAmstadLevel],
+            ['LIX', number(stats.lix, 0) + ' – ' + stats.lixLevel],
+            [`Hördauer bei ${this.speechRate.toFixed(1)}x`, 'ca. ' + formatDuration(this.getListeningSeconds())]
+        ];
+        
+        rows.forEach(([label, value]) => {
+            const row = this.statsTable.insertRow();
+            row.insertCell().textContent = label;
+            row.insertCell().textContent = value;
+        });
+        
+        const text = this.textArea.textContent;
+        stats.hardest.forEach(sentence => {
+            const excerpt = text.slice(this.words[sentence.start].start, this.words[sentence.end].end);
             
-            // Speak the word
-            this.speakSingleWord();
-        }
+            const item = document.createElement('li');
+            const button = document.createElement('button');
+            button.className = 'toc-item';
+            button.textContent = excerpt.length > 120 ? excerpt.slice(0, 120) + ' …' : excerpt;
+            button.title = `${sentence.words} Wörter, ${sentence.longWords} lange – LIX ${Math.round(sentence.lix)}`;
+            button.addEventListener('click', () => {
+                this.closeStatistics();
+                this.jumpToWord(sentence.start, this.isPlaying);
+            });
+            
+            item.appendChild(button);
+            this.hardestList.appendChild(item);
+        });
         
-        this.updateUI();
+        this.statsInfo.textContent = 'Die Lesbarkeitswerte gelten für deutsche Texte. ' +
+            'Flesch-Amstad: je höher, desto leichter. LIX: je niedriger, desto leichter.';
     }
     
-    repeatWord() {
-        if (!this.isPrepared) return;
+    // Speaking time of the whole text at the current rate, from the calibrated speed
+    getListeningSeconds() {
+        return this.getWordTimeline().total / (this.charsPerSecond * this.speechRate);
+    }
+    
+    // ===== BOOKMARKS =====
+    
+    // Moves the bookmarks to their words in the newly prepared text
+    reanchorBookmarks() {
+        const anchored = this.bookmarks.filter(b => b.anchor);
+        const indices = this.anchors.find(this.words, anchored.map(b => b.anchor));
+        anchored.forEach((bookmark, i) => {
+            bookmark.index = indices[i];
+        });
         
-        // Stop current playback
-        this.synth.cancel();
-        this.isPlaying = false;
-        this.isPaused = false;
+        this.bookmarks.forEach(bookmark => {
+            bookmark.index = Math.min(bookmark.index, this.words.length - 1);
+            bookmark.anchor = this.anchors.capture(this.words, bookmark.index);
+        });
+        this.saveBookmarks();
+    }
+    
+    addBookmark() {
+        if (!this.isPrepared) return;
         
-        // Simply speak the current word again
-        this.currentPosDisplay.textContent = this.currentIndex + 1;
-        this.speakSingleWord();
+        const index = this.currentIndex;
+        const excerpt = this.getExcerpt(index);
+        const name = prompt('Name des Lesezeichens:', excerpt);
+        if (name === null) return;
         
-        this.updateUI();
+        this.bookmarks.push({
+            id: this.library.createId(),
+            name: name.trim() || excerpt,
+            note: '',
+            index,
+            anchor: this.anchors.capture(this.words, index)
+        });
+        this.saveBookmarks();
+        this.showMessage(`✓ Lesezeichen bei Wort ${index + 1} gesetzt`);
     }
     
-    jumpToSentenceStart() {
+    // The first words from a position on
+    getExcerpt(index) {
+        const last = Math.min(index + 4, this.words.length - 1);
+        const excerpt = this.textArea.textContent
+            .slice(this.words[index].start, this.words[last].end)
+            .replace(/\s+/g, ' ');
+        return last < this.words.length - 1 ? excerpt + ' …' : excerpt;
+    }
+    
+    saveBookmarks() {
+        this.bookmarks.sort((a, b) => a.index - b.index);
+        this.renderBookmarkMarkers();
+        if (this.bookmarkModal.classList.contains('show')) {
+            this.renderBookmarks();
+        }
+        this.scheduleSave();
+    }
+    
+    renderBookmarkMarkers() {
+        if (!this.words.length) return;
+        this.highlighter.set('bookmark', this.bookmarks.map(b => this.words[b.index]));
+    }
+    
+    showBookmarks() {
         if (!this.isPrepared) return;
+        this.renderBookmarks();
+        this.bookmarkModal.classList.add('show');
+    }
+    
+    closeBookmarks() {
+        this.bookmarkModal.classList.remove('show');
+    }
+    
+    renderBookmarks() {
+        this.bookmarkList.innerHTML = '';
+        this.btnAddBookmark.textContent = `🔖 Bei Wort ${this.currentIndex + 1} setzen`;
         
-        // Stop current playback
-        this.synth.cancel();
-        this.isPlaying = false;
-        this.isPaused = false;
-        
-        this.calculateSentenceBoundaries();
-        this.currentIndex = this.currentSentenceStart;
-        this.currentPosDisplay.textContent = this.currentIndex + 1;
-        this.speakSingleWord();
+        this.bookmarks.forEach(bookmark => {
+            const item = document.createElement('li');
+            item.className = 'library-item' + (bookmark.index === this.currentIndex ? ' library-item-open' : '');
+            
+            const title = document.createElement('div');
+            title.className = 'library-title';
+            title.textContent = bookmark.name;
+            
+            const details = document.createElement('div');
+            details.className = 'library-details';
+            details.textContent = `Wort ${bookmark.index + 1} · ${this.getExcerpt(bookmark.index)}`;
+            
+            const actions = document.createElement('div');
+            actions.className = 'library-actions';
+            [
+                ['📖', 'Hierhin springen', () => this.openBookmark(bookmark)],
+                ['✏️', 'Umbenennen', () => this.renameBookmark(bookmark)],
+                ['📝', 'Notiz bearbeiten', () => this.editBookmarkNote(bookmark)],
+                ['🗑️', 'Löschen', () => this.deleteBookmark(bookmark)]
+            ].forEach(([icon, label, handler]) => {
+                const button = document.createElement('button');
+                button.className = 'btn-icon';
+                button.textContent = icon;
+                button.title = label;
+                button.addEventListener('click', handler);
+                actions.appendChild(button);
+            });
+            
+            item.append(title, details);
+            if (bookmark.note) {
+                const note = document.createElement('div');
+                note.className = 'bookmark-note';
+                note.textContent = bookmark.note;
+                item.appendChild(note);
+            }
+            item.appendChild(actions);
+            this.bookmarkList.appendChild(item);
+        });
         
-        this.updateUI();
+        this.bookmarkInfo.textContent = this.bookmarks.length
+            ? `${this.bookmarks.length} Lesezeichen`
+            : 'Noch keine Lesezeichen';
     }
     
-    jumpToSentenceEnd() {
-        if (!this.isPrepared) return;
+    openBookmark(bookmark) {
+        this.closeBookmarks();
+        this.jumpToWord(bookmark.index, this.isPlaying);
+        this.showMessage(`🔖 ${bookmark.name}` + (bookmark.note ? ` – ${bookmark.note}` : ''));
+    }
+    
+    renameBookmark(bookmark) {
+        const name = prompt('Neuer Name:', bookmark.name);
+        if (!name || !name.trim()) return;
         
-        // Stop current playback
-        this.synth.cancel();
-        this.isPlaying = false;
-        this.isPaused = false;
+        bookmark.name = name.trim();
+        this.saveBookmarks();
+    }
+    
+    editBookmarkNote(bookmark) {
+        const note = prompt('Notiz:', bookmark.note);
+        if (note === null) return;
         
-        this.calculateSentenceBoundaries();
-        this.currentIndex = this.currentSentenceEnd;
-        this.currentPosDisplay.textContent = this.currentIndex + 1;
-        this.speakSingleWord();
+        bookmark.note = note.trim();
+        this.saveBookmarks();
+    }
+    
+    deleteBookmark(bookmark) {
+        if (!confirm(`Lesezeichen „${bookmark.name}“ löschen?`)) return;
         
-        this.updateUI();
+        this.bookmarks = this.bookmarks.filter(b => b !== bookmark);
+        this.saveBookmarks();
     }
     
-    jumpToPosition() {
-        if (!this.isPrepared) return;
+    jumpToPreviousBookmark() {
+        const previous = this.bookmarks.filter(b => b.index < this.currentIndex).pop();
+        if (!this.isPrepared || !previous) return;
+        this.openBookmark(previous);
+    }
+    
+    jumpToNextBookmark() {
+        const next = this.bookmarks.find(b => b.index > this.currentIndex);
+        if (!this.isPrepared || !next) return;
+        this.openBookmark(next);
+    }
+    
+    // ===== KEYBOARD SHORTCUTS =====
+    
+    handleShortcut(e) {
+        if (this.capturingShortcut) {
+            this.captureShortcut(e);
+            return;
+        }
+        if (e.defaultPrevented || e.isComposing) return;
         
-        const pos = parseInt(this.jumpPositionInput.value);
-        if (isNaN(pos) || pos < 1 || pos > this.words.length) {
-            this.showMessage('⚠ Ungültige Position');
+        if (e.key === 'Escape' && this.wordPopover.classList.contains('show')) {
+            this.hideWordPopover();
             return;
         }
         
-        // Stop current playback
-        this.synth.cancel();
-        this.isPlaying = false;
-        this.isPaused = false;
+        // No shortcuts while typing; Esc leaves the text area so they work again
+        const target = e.target;
+        if (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)) {
+            if (e.key === 'Escape' && target === this.textArea) {
+                this.textArea.blur();
+            }
+            return;
+        }
+        if (document.querySelector('.modal.show')) return;
         
-        this.currentIndex = pos - 1;
-        this.calculateSentenceBoundaries();
-        this.currentPosDisplay.textContent = this.currentIndex + 1;
-        this.speakSingleWord();
-        this.jumpPositionInput.value = '';
+        const action = this.shortcuts[shortcutKey(e)];
+        if (!action || !SHORTCUT_ACTIONS[action]) return;
         
-        this.updateUI();
-    }
-    
-    resetToStart() {
-        this.currentIndex = 0;
-        this.calculateSentenceBoundaries();
-        this.currentPosDisplay.textContent = '0';
-        this.highlightWord(null);
-        this.synth.cancel();
-        this.isPlaying = false;
-        this.isPaused = false;
-        this.updateUI();
+        e.preventDefault();
+        
+        // Otherwise a focused button would also react to Space or Enter
+        if (target.tagName === 'BUTTON') target.blur();
+        this[action]();
     }
     
-    speakSingleWord() {
-        if (this.currentIndex >= this.words.length) return;
-        
-        const word = this.words[this.currentIndex];
-        this.highlightWord(this.currentIndex);
+    // The next key pressed is bound to the action; Delete or Backspace removes the binding
+    captureShortcut(e) {
+        const combination = shortcutKey(e);
+        if (!combination) return;
         
-        this.synth.cancel();
-        const utterance = new SpeechSynthesisUtterance(word);
-        utterance.lang = 'de-DE';
-        utterance.rate = this.speechRate;
+        e.preventDefault();
+        if (e.target.tagName === 'BUTTON') e.target.blur();
+        const action = this.capturingShortcut;
+        this.capturingShortcut = null;
         
-        // Set preferred voice
-        const preferredVoice = this.getPreferredVoice();
-        if (preferredVoice) {
-            utterance.voice = preferredVoice;
+        Object.keys(this.shortcuts).forEach(key => {
+            if (this.shortcuts[key] === action || key === combination) {
+                delete this.shortcuts[key];
+            }
+        });
+        if (combination !== 'Delete' && combination !== 'Backspace') {
+            this.shortcuts[combination] = action;
         }
         
-        this.synth.speak(utterance);
+        this.saveShortcuts();
     }
     
-    // ===== UI UPDATES =====
+    saveShortcuts() {
+        storeJSON('shortcuts', this.shortcuts);
+        this.renderShortcuts();
+    }
     
-    highlightWord(index) {
-        // Remove existing highlights
-        const highlighted = this.textArea.querySelectorAll('.highlight');
-        highlighted.forEach(el => {
-            const parent = el.parentNode;
-            parent.replaceChild(document.createTextNode(el.textContent), el);
-            parent.normalize();
+    renderShortcuts() {
+        this.shortcutList.innerHTML = '';
+        
+        Object.entries(SHORTCUT_ACTIONS).forEach(([action, label]) => {
+            const row = document.createElement('div');
+            row.className = 'shortcut-row';
+            
+            const name = document.createElement('span');
+            name.textContent = label;
+            row.appendChild(name);
+            
+            const keys = Object.keys(this.shortcuts).filter(key => this.shortcuts[key] === action);
+            const button = document.createElement('button');
+            button.className = 'shortcut-key';
+            button.textContent = this.capturingShortcut === action
+                ? 'Taste drücken …'
+                : keys.map(shortcutLabel).join(', ') || '–';
+            button.addEventListener('click', () => {
+                this.capturingShortcut = this.capturingShortcut === action ? null : action;
+                this.renderShortcuts();
+            });
+            row.appendChild(button);
+            
+            this.shortcutList.appendChild(row);
         });
+    }
+    
+    // ===== MEDIA SESSION =====
+    
+    setupMediaSession() {
+        if (!('mediaSession' in navigator)) return;
         
-        if (index === null || !this.isPrepared) return;
+        const handlers = {
+            play: () => this.playOrResume(),
+            pause: () => this.pause(),
+            stop: () => this.stopReading(),
+            previoustrack: () => this.jumpToPreviousSentence(),
+            nexttrack: () => this.jumpToNextSentence(),
+            seekbackward: () => this.previousWord(),
+            seekforward: () => this.nextWord()
+        };
         
-        // Add new highlight
-        const text = this.textArea.textContent;
-        let wordCount = 0;
-        let charIndex = 0;
-        
-        for (let i = 0; i < text.length; i++) {
-            if (text[i].match(/\S/) && (i === 0 || text[i-1].match(/\s/))) {
-                if (wordCount === index) {
-                    charIndex = i;
-                    break;
-                }
-                wordCount++;
+        Object.entries(handlers).forEach(([action, handler]) => {
+            try {
+                navigator.mediaSession.setActionHandler(action, handler);
+            } catch (err) {
+                console.log('Media session action not supported:', action);
             }
-        }
+        });
+    }
+    
+    updateMediaSession() {
+        if (!('mediaSession' in navigator)) return;
         
-        const wordLength = this.words[index].length;
-        const beforeText = text.substring(0, charIndex);
-        const highlightText = text.substring(charIndex, charIndex + wordLength);
-        const afterText = text.substring(charIndex + wordLength);
+        navigator.mediaSession.playbackState = this.isPlaying ? 'playing' : this.isPaused ? 'paused' : 'none';
+        if ('MediaMetadata' in window) {
+            navigator.mediaSession.metadata = new MediaMetadata({
+                title: this.textName.value.trim() || 'unbenannt',
+                artist: 'Quasselo'
+            });
+        }
         
-        this.textArea.innerHTML = '';
-        this.textArea.appendChild(document.createTextNode(beforeText));
+        // Speech alone does not count as media playback
+        if (this.isPlaying) {
+            this.silentAudio = this.silentAudio || this.createSilentAudio();
+            this.silentAudio.play().catch(err => console.log('Silent audio blocked:', err.message));
+        } else if (this.silentAudio) {
+            this.silentAudio.pause();
+        }
+    }
+    
+    // A looping WAV clip of silence (8-bit mono)
+    createSilentAudio() {
+        const samples = SILENT_AUDIO_SECONDS * SILENT_AUDIO_SAMPLE_RATE;
+        const view = new DataView(new ArrayBuffer(44 + samples));
+        const writeString = (offset, text) => {
+            [...text].forEach((c, i) => view.setUint8(offset + i, c.charCodeAt(0)));
+        };
         
-        const span = document.createElement('span');
-        span.className = 'highlight';
-        span.textContent = highlightText;
-        this.textArea.appendChild(span);
+        writeString(0, 'RIFF');
+        view.setUint32(4, 36 + samples, true);
+        writeString(8, 'WAVE');
+        writeString(12, 'fmt ');
+        view.setUint32(16, 16, true);
+        view.setUint16(20, 1, true); // PCM
+        view.setUint16(22, 1, true); // mono
+        view.setUint32(24, SILENT_AUDIO_SAMPLE_RATE, true);
+        view.setUint32(28, SILENT_AUDIO_SAMPLE_RATE, true);
+        view.setUint16(32, 1, true);
+        view.setUint16(34, 8, true);
+        writeString(36, 'data');
+        view.setUint32(40, samples, true);
+        new Uint8Array(view.buffer, 44).fill(128);
         
-        this.textArea.appendChild(document.createTextNode(afterText));
+        const audio = new Audio(URL.createObjectURL(new Blob([view.buffer], { type: 'audio/wav' })));
+        audio.loop = true;
+        return audio;
+    }
+    
+    // ===== UI UPDATES =====
+    
+    highlightWord(index) {
+        if (index === null || !this.isPrepared || !this.words[index]) {
+            this.highlighter.clear('word');
+            return;
+        }
         
-        // Scroll to highlighted word
-        span.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        const word = this.words[index];
+        this.highlighter.set('word', [word]);
+        this.highlighter.scrollIntoView(word.start, word.end);
     }
     
     updateUI() {
@@ -843,7 +6315,8 @@ class Quasselo {
         const needsPrepared = [
             this.btnHoren, this.btnPause, this.btnStop,
             this.btnBegin, this.btnPrev, this.btnNext, this.btnRepeat,
-            this.btnEnd, this.btnClose, this.btnExport
+            this.btnEnd, this.btnClose, this.btnExport, this.btnStats, this.btnToc, this.btnBookmarks, this.btnLoop,
+            this.btnPrevChapter, this.btnPrevParagraph, this.btnNextParagraph, this.btnNextChapter
         ];
         
         needsPrepared.forEach(btn => {
@@ -851,6 +6324,10 @@ class Quasselo {
         });
         
         this.jumpPositionInput.disabled = !this.isPrepared;
+        this.seekBar.disabled = !this.isPrepared;
+        this.updateProgress();
+        
+        this.updateMediaSession();
     }
     
     showMenu() {
@@ -858,33 +6335,45 @@ class Quasselo {
         
         // Reload voices when settings are opened (important for mobile)
         this.loadVoices();
+        this.renderLexicon();
+        this.renderShortcuts();
+        this.renderTimingInfo();
     }
     
     closeSettings() {
         this.settingsModal.classList.remove('show');
+        this.capturingShortcut = null;
     }
     
-    getPreferredVoice() {
-        // Return the user-selected voice, or first German voice as fallback
-        if (this.selectedVoice) {
+    getPreferredVoice(lang = DEFAULT_LANGUAGE) {
+        const isMain = lang === DEFAULT_LANGUAGE;
+        
+        // Return the user-selected voice, or the first voice of the language as fallback
+        if (isMain && this.selectedVoice) {
             return this.selectedVoice;
         }
         
-        const voices = this.synth.getVoices();
-        const germanVoices = voices.filter(v => 
-            v.lang.startsWith('de-') || v.lang === 'de' || v.lang.startsWith('DE')
-        );
+        const voices = this.engine.getVoices();
+        const wanted = isMain ? this.voiceName : this.voicePreferences[lang];
+        const named = voices.find(v => v.name === wanted);
+        if (named) {
+            if (isMain) this.selectedVoice = named;
+            return named;
+        }
         
-        if (germanVoices.length > 0) {
-            this.selectedVoice = germanVoices[0];
-            return germanVoices[0];
+        const matching = voices.filter(v => languageOf(v.lang) === lang);
+        const voice = matching.find(v => v.default) || matching[0];
+        
+        if (voice) {
+            if (isMain) this.selectedVoice = voice;
+            return voice;
         }
         
-        // Ultimate fallback
-        return voices.length > 0 ? voices[0] : null;
+        // Ultimate fallback for the main language
+        return isMain && voices.length > 0 ? voices[0] : null;
     }
     
-    showMessage(message) {
+    showMessage(message, action = null) {
         // Simple message display
         console.log(message);
         
@@ -904,11 +6393,25 @@ class Quasselo {
         `;
         document.body.appendChild(toast);
         
-        setTimeout(() => {
+        const hide = () => {
             toast.style.opacity = '0';
             toast.style.transition = 'opacity 0.5s';
             setTimeout(() => toast.remove(), 500);
-        }, 2500);
+        };
+        
+        // Optional action button, e.g. "retry from here"; such messages stay longer
+        if (action) {
+            const button = document.createElement('button');
+            button.textContent = action.label;
+            button.className = 'toast-action';
+            button.addEventListener('click', () => {
+                hide();
+                action.handler();
+            });
+            toast.appendChild(button);
+        }
+        
+        setTimeout(hide, action ? 10000 : 2500);
     }
 }
 
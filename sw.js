@@ -0,0 +1,70 @@
+// Quasselo service worker: keeps the app shell available offline.
+// CACHE_VERSION is set by hand: raise it whenever APP_SHELL changes, so that
+// installed apps drop the old cache. Changed file contents need no new
+// version, they are refreshed in the background (see the fetch handler).
+
+const CACHE_VERSION = 2;
+const CACHE_NAME = 'quasselo-v' + CACHE_VERSION;
+
+const APP_SHELL = [
+    './',
+    './index.html',
+    './Quasselo.html',
+    './Quasselo.css',
+    './Quasselo.js',
+    './manifest.webmanifest',
+    './icon.svg',
+    './icon-192.png',
+    './icon-512.png',
+    './apple-touch-icon.png'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(APP_SHELL))
+            .then(() => self.skipWaiting())
+    );
+});
+
+// Removes caches of older versions
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith('quasselo-') && key !== CACHE_NAME)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// Answers from the cache and refreshes it in the background, so an update
+// shows up on the next start. Shared texts arrive as "index.html?text=…",
+// which is the cached index.html.
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+    
+    event.respondWith(
+        caches.open(CACHE_NAME).then(async (cache) => {
+            const cached = await cache.match(request, { ignoreSearch: true });
+            const update = fetch(request)
+                .then(response => {
+                    if (response.ok && !new URL(request.url).search) {
+                        cache.put(request, response.clone());
+                    }
+                    return response;
+                })
+                .catch(err => {
+                    if (cached) return cached;
+                    throw err;
+                });
+            
+            if (cached) {
+                event.waitUntil(update.catch(() => {}));
+                return cached;
+            }
+            return update;
+        })
+    );
+});
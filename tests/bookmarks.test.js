@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const loadQuasselo = require('./load-quasselo');
+
+const get = loadQuasselo();
+const BookmarkAnchors = get('BookmarkAnchors');
+const anchors = new BookmarkAnchors();
+
+// Prepared words with their character offsets
+function wordsOf(text) {
+    return [...text.matchAll(/\S+/g)].map(match => ({
+        text: match[0],
+        start: match.index,
+        end: match.index + match[0].length
+    }));
+}
+
+// Index of the bookmarked word after the text was replaced
+function reanchor(before, index, after) {
+    const anchor = anchors.capture(wordsOf(before), index);
+    return anchors.find(wordsOf(after), [anchor])[0];
+}
+
+test('an anchor keeps the word, its neighbours and its offset', () => {
+    const anchor = anchors.capture(wordsOf('Das „Schaf“ steht am Deich.'), 1);
+    assert.strictEqual(anchor.word, 'schaf');
+    assert.strictEqual(anchor.before.join(' '), 'das');
+    assert.strictEqual(anchor.after.join(' '), 'steht am deich');
+    assert.strictEqual(anchor.offset, 4);
+    assert.ok(anchors.isValid(anchor));
+    assert.ok(!anchors.isValid({ word: 'schaf' }));
+});
+
+test('the bookmarked word is found again after text was inserted before it', () => {
+    const before = 'Das Schaf steht am Deich. Es frisst Gras.';
+    const after = 'Ein neuer Satz steht jetzt am Anfang. Das Schaf steht am Deich. Es frisst Gras.';
+    assert.strictEqual(wordsOf(after)[reanchor(before, 6, after)].text, 'frisst');
+});
+
+test('editing a neighbour or the word itself keeps the place', () => {
+    const before = 'Das Schaf steht am Deich. Es frisst Gras.';
+    assert.strictEqual(reanchor(before, 6, 'Das Schaf steht am Deich. Es frisst Heu.'), 6);
+    assert.strictEqual(reanchor(before, 6, 'Das Schaf steht am Deich. Es kaut Gras.'), 6);
+});
+
+test('a removed word leaves the bookmark between its neighbours', () => {
+    const before = 'Eins zwei drei vier fünf sechs sieben.';
+    assert.strictEqual(reanchor(before, 3, 'Eins zwei drei fünf sechs sieben.'), 3);
+});
+
+test('of repeated passages the one near the old offset wins', () => {
+    const refrain = 'Und der Wind weht über das Land. ';
+    const filler = 'Dazwischen stehen viele andere Wörter. '.repeat(30);
+    const text = refrain + filler + refrain + filler + refrain;
+    const secondRefrain = wordsOf(refrain + filler).length + 2;
+    
+    assert.strictEqual(wordsOf(text)[secondRefrain].text, 'Wind');
+    assert.strictEqual(reanchor(text, secondRefrain, 'Vorwort. ' + text), secondRefrain + 1);
+});
+
+test('bookmarks move with their words when the text is prepared anew', () => {
+    const app = Object.create(get('Quasselo').prototype);
+    let saved = false;
+    Object.assign(app, {
+        anchors,
+        words: wordsOf('Das Schaf steht am Deich.'),
+        saveBookmarks() { saved = true; }
+    });
+    app.bookmarks = [
+        { id: 'b1', name: 'Deich', index: 4, anchor: anchors.capture(app.words, 4) },
+        { id: 'b2', name: 'Alt', index: 9, anchor: null }
+    ];
+    
+    app.words = wordsOf('Heute: Das Schaf steht ruhig am Deich.');
+    app.reanchorBookmarks();
+    
+    assert.strictEqual(app.bookmarks[0].index, 6);
+    assert.strictEqual(app.bookmarks[0].anchor.word, 'deich');
+    // Bookmarks from before anchors existed stay inside the text and get one
+    assert.strictEqual(app.bookmarks[1].index, 6);
+    assert.ok(app.bookmarks[1].anchor);
+    assert.ok(saved);
+});
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const loadQuasselo = require('./load-quasselo');
+
+const get = loadQuasselo();
+const cleaner = new (get('TextCleaner'))(new (get('DocumentImporter'))());
+
+const BOOK = [
+    'Kapitel 1',
+    '',
+    '3. Oktober war ein schöner Tag.',
+    '',
+    'Kapitel 2',
+    '',
+    '2',
+    '',
+    'Die Variable heißt snake_case_name und 5 * 3 * 2 = 30.',
+    '',
+    'Kapitel 3',
+    '',
+    'Ende.'
+].join('\n');
+
+test('default clean-up keeps chapter headings, numbers and ordinals', () => {
+    const result = cleaner.clean(BOOK, {});
+    
+    assert.match(result, /^Kapitel 1$/m);
+    assert.match(result, /^Kapitel 2$/m);
+    assert.match(result, /^Kapitel 3$/m);
+    assert.match(result, /^2$/m);
+    assert.match(result, /^3\. Oktober war ein schöner Tag\.$/m);
+    assert.match(result, /snake_case_name und 5 \* 3 \* 2 = 30\./);
+});
+
+test('running headers keep chapter headings', () => {
+    const text = BOOK + '\n\nQuasselo – Seite 1\nText\nQuasselo – Seite 2\nText\nQuasselo – Seite 3';
+    const result = cleaner.clean(text, { runningHeaders: true });
+    
+    assert.match(result, /^Kapitel 2$/m);
+    assert.doesNotMatch(result, /Quasselo – Seite/);
+});
+
+test('markdown rule leaves plain text alone', () => {
+    assert.strictEqual(cleaner.removeMarkdown(BOOK), BOOK);
+});
+
+test('markdown rule strips markup of Markdown text only where it is markup', () => {
+    const markdown = '# Titel\n\n- **fett** und *kursiv*\n\nsnake_case_name und 5 * 3 * 2';
+    const result = cleaner.removeMarkdown(markdown);
+    
+    assert.match(result, /^fett und kursiv$/m);
+    assert.match(result, /snake_case_name und 5 \* 3 \* 2/);
+    assert.doesNotMatch(result, /#/);
+});
+
+test('footnote markers go, units and exponents keep their superscripts', () => {
+    const text = 'Die Wohnung¹ hat 5 m² und 20 cm³ Luft.² Es gilt x² + 10³ = y.';
+    const result = cleaner.clean(text, {});
+    
+    assert.strictEqual(result, 'Die Wohnung hat 5 m² und 20 cm³ Luft. Es gilt x² + 10³ = y.');
+});
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const loadQuasselo = require('./load-quasselo');
+const { createServer } = require('./tts-stub-server');
+
+const get = loadQuasselo();
+const alignWordTimings = get('alignWordTimings');
+
+test('server word timings are matched to the text in order', () => {
+    const words = alignWordTimings('Hallo, du da. Du!', [
+        { word: 'Hallo', start_time: 0 },
+        { word: 'du', start_time: 0.5 },
+        { word: 'ähm', start_time: 0.7 },
+        { word: 'da.', start_time: 0.9 },
+        { word: 'Du', start: 1.4 }
+    ]);
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(words)), [
+        { charIndex: 0, charLength: 5, time: 0 },
+        { charIndex: 7, charLength: 2, time: 0.5 },
+        { charIndex: 10, charLength: 3, time: 0.9 },
+        { charIndex: 14, charLength: 2, time: 1.4 }
+    ]);
+    assert.strictEqual(alignWordTimings('Hallo', [{ word: 'Tschüss', start_time: 0 }]), null);
+});
+
+test('the stub server lists voices and answers with audio and timings', async () => {
+    const server = createServer().listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    const base = `http://localhost:${server.address().port}/api`;
+    
+    try {
+        const voices = await (await fetch(base + '/voices')).json();
+        assert.strictEqual(voices['stub-de'].locale, 'de-DE');
+        
+        const audio = await fetch(base + '/tts?text=Guten%20Tag');
+        assert.strictEqual(audio.headers.get('Content-Type'), 'audio/wav');
+        assert.strictEqual(Buffer.from(await audio.arrayBuffer()).toString('latin1', 0, 4), 'RIFF');
+        
+        const timed = await (await fetch(base + '/tts?text=Guten%20Tag&timings=1')).json();
+        assert.deepStrictEqual(timed.timestamps.map(timing => timing.word), ['Guten', 'Tag']);
+        assert.ok(timed.timestamps[1].start_time > timed.timestamps[0].end_time);
+        assert.strictEqual(Buffer.from(timed.audio, 'base64').toString('latin1', 0, 4), 'RIFF');
+    } finally {
+        server.close();
+    }
+});
@@ -0,0 +1,168 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const loadQuasselo = require('./load-quasselo');
+
+// HTML and EPUB need a DOMParser; plain Node has none, a browser-like test runner does
+const hasDom = typeof DOMParser !== 'undefined';
+const get = loadQuasselo(hasDom
+    ? { DOMParser, Node }
+    : { Node: { ELEMENT_NODE: 1, TEXT_NODE: 3 } });
+const importer = new (get('DocumentImporter'))();
+
+function file(name, content) {
+    const bytes = typeof content === 'string' ? new TextEncoder().encode(content) : content;
+    return { name, arrayBuffer: async () => bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.length) };
+}
+
+// A small element tree in the shape htmlToText walks
+function element(tagName, attributes, ...children) {
+    return {
+        nodeType: 1,
+        tagName,
+        getAttribute: name => attributes[name] || null,
+        childNodes: children.map(child => typeof child === 'string' ? { nodeType: 3, data: child } : child)
+    };
+}
+
+test('formats follow the file extension', () => {
+    assert.strictEqual(importer.formatOf('Buch.EPUB'), 'epub');
+    assert.strictEqual(importer.formatOf('notizen.md'), 'markdown');
+    assert.strictEqual(importer.formatOf('seite.htm'), 'html');
+    assert.strictEqual(importer.formatOf('film.vtt'), 'subtitles');
+    assert.strictEqual(importer.formatOf('bild.png'), null);
+});
+
+test('text files are decoded by BOM, UTF-8 or Windows-1252', async () => {
+    const bom = new Uint8Array([0xEF, 0xBB, 0xBF, ...new TextEncoder().encode('Grüße')]);
+    assert.strictEqual(importer.decodeText(bom), 'Grüße');
+    
+    const utf16 = new Uint8Array([0xFF, 0xFE, ...Buffer.from('Schäfchen', 'utf16le')]);
+    assert.strictEqual(importer.decodeText(utf16), 'Schäfchen');
+    
+    const utf16WithoutBom = new Uint8Array(Buffer.from('Ein langer Satz ohne BOM.', 'utf16le'));
+    assert.strictEqual(importer.decodeText(utf16WithoutBom), 'Ein langer Satz ohne BOM.');
+    
+    const latin1 = new Uint8Array(Buffer.from('Käse für Björn', 'latin1'));
+    assert.strictEqual(importer.decodeText(latin1), 'Käse für Björn');
+    
+    const result = await importer.read(file('Brief.txt', 'Zeile  eins\r\n\r\n\r\n\r\n  Zeile zwei  '));
+    assert.strictEqual(result.name, 'Brief');
+    assert.strictEqual(result.text, 'Zeile eins\n\nZeile zwei');
+});
+
+test('empty files are rejected', async () => {
+    await assert.rejects(() => importer.read(file('leer.txt', ' \n \n')), /keinen lesbaren Text/);
+});
+
+test('Markdown headings become paragraphs and markup is removed', async () => {
+    const markdown = [
+        '# Die **Schafe**',
+        'Ein [Link](https://example.org) und `Code`.',
+        '## Weide',
+        '- erster Punkt',
+        '> ein Zitat',
+        '---',
+        'snake_case bleibt, 5 * 3 * 2 auch.'
+    ].join('\n');
+    const result = await importer.read(file('schafe.md', markdown));
+    
+    assert.strictEqual(result.name, 'Die Schafe');
+    assert.strictEqual(result.text, [
+        'Die Schafe',
+        '',
+        'Ein Link und Code.',
+        '',
+        'Weide',
+        '',
+        'erster Punkt',
+        'ein Zitat',
+        '',
+        'snake_case bleibt, 5 * 3 * 2 auch.'
+    ].join('\n'));
+});
+
+test('Markdown code blocks are kept as they are', () => {
+    const result = importer.readMarkdown('Text\n```\n# kein Titel\n```');
+    assert.strictEqual(result.title, null);
+    assert.strictEqual(result.text, 'Text\n# kein Titel');
+});
+
+test('HTML block elements become paragraphs, scripts and navigation are skipped', () => {
+    const root = element('BODY', {},
+        element('NAV', {}, 'Menü'),
+        element('H1', {}, 'Titel'),
+        element('P', {}, 'Erster ', element('EM', {}, 'Absatz'), element('BR', {}), 'neue Zeile'),
+        element('SCRIPT', {}, 'alert(1)'),
+        element('P', {}, element('IMG', { alt: 'Ein Schaf' }))
+    );
+    assert.strictEqual(importer.tidy(importer.htmlToText(root)), 'Titel\n\nErster Absatz\nneue Zeile\n\nEin Schaf');
+});
+
+test('HTML files use the title and the article', { skip: !hasDom && 'needs a DOMParser' }, async () => {
+    const html = '<html><head><title>Seite</title></head><body><nav>Menü</nav>'
+        + '<article><h1>Kopf</h1><p>Text im <b>Artikel</b>.</p></article><footer>Fuß</footer></body></html>';
+    const result = await importer.read(file('seite.html', html));
+    assert.strictEqual(result.name, 'Seite');
+    assert.strictEqual(result.text, 'Kopf\n\nText im Artikel.');
+});
+
+test('SRT cues are joined and long pauses start a paragraph', async () => {
+    const srt = [
+        '1', '00:00:01,000 --> 00:00:02,500', '<i>Hallo</i> zusammen.', '',
+        '2', '00:00:02,600 --> 00:00:04,000', '- Wie geht es?', '',
+        '3', '00:00:04,100 --> 00:00:05,000', '- Wie geht es?', '',
+        '4', '00:00:09,000 --> 00:00:10,000', '{\\an8}Später.', ''
+    ].join('\r\n');
+    const result = await importer.read(file('film.srt', srt));
+    assert.strictEqual(result.text, 'Hallo zusammen. Wie geht es?\n\nSpäter.');
+});
+
+test('WebVTT headers and notes are skipped', async () => {
+    const vtt = [
+        'WEBVTT', '',
+        'NOTE nur für Übersetzer', '',
+        'eins', '00:01.000 --> 00:02.000 align:start', '<v Anna>Guten Morgen.</v>', '',
+        '00:02.500 --> 00:03.000', 'Bis bald.', ''
+    ].join('\n');
+    const result = await importer.read(file('film.vtt', vtt));
+    assert.strictEqual(result.text, 'Guten Morgen. Bis bald.');
+});
+
+test('subtitle timestamps with and without hours', () => {
+    assert.strictEqual(importer.parseTimestamp('01:02:03,5'), 3723.5);
+    assert.strictEqual(importer.parseTimestamp(' 02:03.250 '), 123.25);
+    assert.strictEqual(importer.parseTimestamp('kaputt'), 0);
+});
+
+test('EPUB paths resolve relative to the referencing file', () => {
+    assert.strictEqual(importer.resolvePath('OEBPS/content.opf', 'text/kapitel%201.xhtml'), 'OEBPS/text/kapitel 1.xhtml');
+    assert.strictEqual(importer.resolvePath('OEBPS/text/a.xhtml', '../bilder/b.png'), 'OEBPS/bilder/b.png');
+});
+
+test('archives without container.xml are not EPUBs', async () => {
+    const zip = new (get('ZipWriter'))();
+    zip.addFile('mimetype', 'application/epub+zip');
+    const bytes = new Uint8Array(await zip.toBlob().arrayBuffer());
+    await assert.rejects(() => importer.read(file('kaputt.epub', bytes)), /container\.xml fehlt/);
+});
+
+test('EPUB chapters are read in spine order', { skip: !hasDom && 'needs a DOMParser' }, async () => {
+    const zip = new (get('ZipWriter'))();
+    zip.addFile('mimetype', 'application/epub+zip');
+    zip.addFile('META-INF/container.xml', '<?xml version="1.0"?><container xmlns="urn:oasis:names:tc:opendocument:xmlns:container">'
+        + '<rootfiles><rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/></rootfiles></container>');
+    zip.addFile('OEBPS/content.opf', '<?xml version="1.0"?><package xmlns="http://www.idpf.org/2007/opf" xmlns:dc="http://purl.org/dc/elements/1.1/">'
+        + '<metadata><dc:title>Das Buch</dc:title></metadata><manifest>'
+        + '<item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>'
+        + '<item id="c1" href="text/eins.xhtml" media-type="application/xhtml+xml"/>'
+        + '<item id="c2" href="text/zwei.xhtml" media-type="application/xhtml+xml"/>'
+        + '</manifest><spine><itemref idref="nav"/><itemref idref="c2"/><itemref idref="c1"/></spine></package>');
+    const chapter = body => '<?xml version="1.0"?><html xmlns="http://www.w3.org/1999/xhtml"><body>' + body + '</body></html>';
+    zip.addFile('OEBPS/nav.xhtml', chapter('<nav>Inhalt</nav>'));
+    zip.addFile('OEBPS/text/eins.xhtml', chapter('<h1>Eins</h1><p>Zuerst.</p>'));
+    zip.addFile('OEBPS/text/zwei.xhtml', chapter('<h1>Zwei</h1><p>Danach.</p>'));
+    
+    const result = await importer.read(file('buch.epub', new Uint8Array(await zip.toBlob().arrayBuffer())));
+    assert.strictEqual(result.name, 'Das Buch');
+    assert.strictEqual(result.text, 'Zwei\n\nDanach.\n\nEins\n\nZuerst.');
+});
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const loadQuasselo = require('./load-quasselo');
+
+const get = loadQuasselo();
+const detector = new (get('LanguageDetector'))();
+const segmenter = new (get('SentenceSegmenter'))();
+
+// Language of every sentence; blank lines separate paragraphs
+function languages(text) {
+    const tokens = [];
+    const paragraphBreaks = [];
+    text.split('\n\n').forEach(paragraph => {
+        tokens.push(...paragraph.split(/\s+/).filter(Boolean));
+        paragraphBreaks[tokens.length - 1] = true;
+    });
+    const sentences = segmenter.segment(tokens, paragraphBreaks);
+    return detector.detectSentences(tokens, sentences, paragraphBreaks).join(' ');
+}
+
+test('single words are detected from function words and letters', () => {
+    assert.strictEqual(detector.detect('The sheep is on the dike'.split(' ')), 'en');
+    assert.strictEqual(detector.detect('Das Schaf steht auf dem Deich'.split(' ')), 'de');
+    assert.strictEqual(detector.detect('Le mouton est sur la digue'.split(' ')), 'fr');
+    assert.strictEqual(detector.detect(['Hallo']), null);
+});
+
+test('every sentence of a paragraph gets its own language', () => {
+    assert.strictEqual(
+        languages('Das Schaf steht auf dem Deich. The sheep is on the dike and it is happy. Es ist ein gutes Schaf.'),
+        'de en de'
+    );
+});
+
+test('sentences without clear evidence take the language of their paragraph', () => {
+    assert.strictEqual(
+        languages('Hallo Anna! Das ist nicht schön, aber es ist wahr.\n\nOkay. The weather was bad and the sheep were wet.'),
+        'de de en en'
+    );
+});
+
+test('the previous paragraph decides when a paragraph is too short', () => {
+    assert.strictEqual(languages('It was the best of times, it was the worst of times.\n\nLondon.'), 'en en');
+    assert.strictEqual(languages('London.'), 'de');
+});
+
+test('markers set the language until the end of the paragraph', () => {
+    assert.strictEqual(
+        languages('Das ist gut. [fr] Bonjour. Merci. [auto] Das Schaf ist nicht hier.\n\nUnd dann war es still.'),
+        'de fr fr de de'
+    );
+});
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const loadQuasselo = require('./load-quasselo');
+
+const get = loadQuasselo();
+const PronunciationLexicon = get('PronunciationLexicon');
+
+test('words match regardless of case and keep their punctuation', () => {
+    const lexicon = new PronunciationLexicon([{ type: 'word', match: 'Quasselo', replacement: 'Kwasselo' }]);
+    assert.strictEqual(lexicon.apply('Quasselo'), 'Kwasselo');
+    assert.strictEqual(lexicon.apply('QUASSELO,'), 'Kwasselo,');
+    assert.strictEqual(lexicon.apply('„quasselo“.'), '„Kwasselo“.');
+    assert.strictEqual(lexicon.apply('Quasselos'), 'Quasselos');
+});
+
+test('case-sensitive entries win over plain words', () => {
+    const lexicon = new PronunciationLexicon([
+        { type: 'word', match: 'us', replacement: 'uns' },
+        { type: 'case', match: 'US', replacement: 'U S' }
+    ]);
+    assert.strictEqual(lexicon.apply('US.'), 'U S.');
+    assert.strictEqual(lexicon.apply('us'), 'uns');
+    assert.strictEqual(lexicon.apply('Us'), 'uns');
+});
+
+test('regular expressions apply after the word entries', () => {
+    const lexicon = new PronunciationLexicon([
+        { type: 'regex', match: '/^(\\d+)h$/i', replacement: '$1 Uhr' },
+        { type: 'regex', match: 'ph', replacement: 'f' },
+        { type: 'word', match: 'Philosophie', replacement: 'Philosophie-Seminar' }
+    ]);
+    assert.strictEqual(lexicon.apply('8H'), '8 Uhr');
+    assert.strictEqual(lexicon.apply('Philosophie'), 'Philosofie-Seminar');
+    assert.strictEqual(lexicon.apply('Graphik'), 'Grafik');
+});
+
+test('invalid regular expressions are skipped', () => {
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+        const lexicon = new PronunciationLexicon([
+            { type: 'regex', match: '(offen', replacement: 'x' },
+            { type: 'word', match: 'Haus', replacement: 'Hütte' }
+        ]);
+        assert.strictEqual(lexicon.patterns.length, 0);
+        assert.strictEqual(lexicon.apply('Haus'), 'Hütte');
+    } finally {
+        console.warn = warn;
+    }
+});
+
+test('adding an entry replaces the one with the same match', () => {
+    const lexicon = new PronunciationLexicon();
+    assert.strictEqual(lexicon.apply('Gif'), 'Gif');
+    
+    lexicon.add({ type: 'word', match: 'GIF', replacement: 'Giff' });
+    lexicon.add({ type: 'word', match: 'gif', replacement: 'Dschiff' });
+    lexicon.add({ type: 'case', match: 'gif', replacement: 'gif' });
+    assert.strictEqual(lexicon.entries.length, 2);
+    assert.strictEqual(lexicon.apply('Gif'), 'Dschiff');
+    
+    lexicon.remove(lexicon.entries[0]);
+    assert.strictEqual(lexicon.apply('Gif'), 'Gif');
+});
+
+test('lexicon files round trip and invalid entries are dropped', () => {
+    const lexicon = new PronunciationLexicon([{ type: 'word', match: 'Tschüss', replacement: 'Tschüs' }]);
+    const data = JSON.parse(JSON.stringify(lexicon.toFile()));
+    data.entries.push({ type: 'unbekannt', match: 'a', replacement: 'b' }, { type: 'word', match: '', replacement: 'b' });
+    
+    const entries = lexicon.parseFile(data);
+    assert.strictEqual(entries.length, 1);
+    assert.strictEqual(entries[0].replacement, 'Tschüs');
+    
+    assert.throws(() => lexicon.parseFile({ entries: [] }), /Keine Quasselo-Aussprachedatei/);
+    assert.throws(() => lexicon.parseFile({ ...data, version: 99 }), /Version 99/);
+});
@@ -0,0 +1,25 @@
+// Loads the classes of Quasselo.js without a browser. The app itself only
+// starts on DOMContentLoaded, which never fires here. Extra globals (a DOMParser,
+// for instance) can be passed in.
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+module.exports = function loadQuasselo(globals = {}) {
+    const context = vm.createContext({
+        console,
+        TextEncoder,
+        TextDecoder,
+        URL,
+        Blob,
+        Response,
+        DecompressionStream,
+        window: {},
+        document: { readyState: 'loading', addEventListener() {} },
+        ...globals
+    });
+    vm.runInContext(fs.readFileSync(path.join(__dirname, '..', 'Quasselo.js'), 'utf8'), context);
+    
+    // Top-level classes and constants by name
+    return name => vm.runInContext(name, context);
+};
@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const loadQuasselo = require('./load-quasselo');
+
+const get = loadQuasselo();
+const normalizer = new (get('TextNormalizer'))();
+const segmenter = new (get('SentenceSegmenter'))();
+
+const speak = text => normalizer.normalizeTokens(text.split(' ')).filter(Boolean).join(' ');
+
+test('units, currencies and Uhr before a sentence-final period', () => {
+    assert.strictEqual(speak('Es kostet 1.000.000 €.'), 'Es kostet eine Million Euro.');
+    assert.strictEqual(speak('Es sind 10 km.'), 'Es sind zehn Kilometer.');
+    assert.strictEqual(speak('Nur 1 km.'), 'Nur ein Kilometer.');
+    assert.strictEqual(speak('Er fuhr 5km.'), 'Er fuhr fünf Kilometer.');
+    assert.strictEqual(speak('Um 9.05 Uhr. Dann'), 'Um neun Uhr fünf. Dann');
+});
+
+test('ordinals above hundred', () => {
+    assert.strictEqual(speak('der 101. Geburtstag'), 'der einhundertunderste Geburtstag');
+});
+
+test('a number before a capitalised word ends the sentence', () => {
+    const text = 'Das war 2024. Dann kam der 3. Oktober.';
+    assert.strictEqual(speak(text), 'Das war zweitausendvierundzwanzig. Dann kam der dritte Oktober.');
+    assert.strictEqual(segmenter.segment(text.split(' ')).length, 2);
+});
+
+test('ordinals before lowercase words, months and after articles', () => {
+    assert.strictEqual(speak('die 3. große Welle'), 'die dritte große Welle');
+    assert.strictEqual(speak('am 3. Tag'), 'am dritten Tag');
+    assert.strictEqual(segmenter.segment('am 3. Tag ging es los.'.split(' ')).length, 1);
+});
+
+test('"1" before a noun is read as an article', () => {
+    assert.strictEqual(speak('Da saß 1 Katze und 1 Hund.'), 'Da saß eine Katze und ein Hund.');
+    assert.strictEqual(speak('Nur 1 Kind'), 'Nur ein Kind');
+    assert.strictEqual(speak('Platz 1 Die Sieger'), 'Platz eins Die Sieger');
+});
+
+test('decimals of measurements are read as a number', () => {
+    assert.strictEqual(speak('Er ist 1,80 m groß.'), 'Er ist eins Komma achtzig Meter groß.');
+    assert.strictEqual(speak('Es sind 0,05 m'), 'Es sind null Komma null fünf Meter');
+    assert.strictEqual(speak('Pi ist 3,14.'), 'Pi ist drei Komma eins vier.');
+});
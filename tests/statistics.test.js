@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const loadQuasselo = require('./load-quasselo');
+
+const get = loadQuasselo();
+const TextStatistics = get('TextStatistics');
+
+// One syllable per group of vowels keeps the expected values easy to follow
+const vowelGroups = { split: text => text.match(/[aeiouäöü]+/gi) || [text] };
+
+// Words and sentence ranges; every "." "!" or "?" ends a sentence
+function prepare(text) {
+    const words = text.split(' ').map(word => ({ text: word }));
+    const sentences = [];
+    let start = 0;
+    words.forEach((word, i) => {
+        if (/[.!?]$/.test(word.text) || i === words.length - 1) {
+            sentences.push({ start, end: i });
+            start = i + 1;
+        }
+    });
+    return [words, sentences];
+}
+
+test('Flesch-Amstad and LIX follow their formulas', () => {
+    const stats = new TextStatistics(vowelGroups).analyze(...prepare('Das Schaf frisst. Die Schafherde steht auf der Weide.'));
+    
+    assert.strictEqual(stats.sentences, 2);
+    assert.strictEqual(stats.words, 9);
+    assert.strictEqual(stats.wordsPerSentence, 4.5);
+    assert.strictEqual(stats.syllablesPerWord, 12 / 9);
+    // 180 − 4.5 − 58.5 × 12/9
+    assert.ok(Math.abs(stats.fleschAmstad - 97.5) < 1e-9);
+    assert.strictEqual(stats.fleschAmstadLevel, 'sehr leicht');
+    // 4.5 + 1 of 9 words has seven letters or more
+    assert.ok(Math.abs(stats.lix - (4.5 + 100 / 9)) < 1e-9);
+    assert.strictEqual(stats.lixLevel, 'sehr leicht');
+});
+
+test('tokens without letters are not counted as words', () => {
+    const stats = new TextStatistics(vowelGroups).analyze(...prepare('Seit 1999 – endlich Ferien!'));
+    assert.strictEqual(stats.words, 3);
+    assert.strictEqual(stats.sentences, 1);
+    assert.strictEqual(new TextStatistics(vowelGroups).analyze(...prepare('42 – 17.')), null);
+});
+
+test('Flesch-Amstad stays between 0 and 100', () => {
+    const statistics = new TextStatistics(vowelGroups);
+    assert.strictEqual(statistics.analyze(...prepare('Ja. Nein. Gut.')).fleschAmstad, 100);
+    
+    const hard = statistics.analyze(...prepare('Die Bundesverfassungsgerichtsentscheidung überraschte Verwaltungsrechtswissenschaftler.'));
+    assert.strictEqual(hard.fleschAmstad, 0);
+    assert.strictEqual(hard.fleschAmstadLevel, 'sehr schwer');
+});
+
+test('scores map to their grades at the lower bounds', () => {
+    const statistics = new TextStatistics(vowelGroups);
+    const flesch = get('FLESCH_AMSTAD_LEVELS');
+    const lix = get('LIX_LEVELS');
+    
+    assert.strictEqual(statistics.level(flesch, 60), 'mittel');
+    assert.strictEqual(statistics.level(flesch, 59.9), 'mittelschwer');
+    assert.strictEqual(statistics.level(lix, 40), 'mittel');
+    assert.strictEqual(statistics.level(lix, 29.9), 'sehr leicht');
+    assert.strictEqual(statistics.level(lix, 75), 'sehr schwer');
+});
+
+test('the hardest sentences come first', () => {
+    const stats = new TextStatistics(vowelGroups).analyze(...prepare(
+        'Kurz. Ein ganz einfacher Satz. Verwaltungsvorschriften erschweren Bürgerbeteiligungsverfahren erheblich.'
+    ));
+    assert.strictEqual(stats.hardest.map(s => s.start).join(','), '5,1,0');
+});
+
+test('syllables come from the syllable segmenter', () => {
+    const statistics = new TextStatistics(new (get('SyllableSegmenter'))());
+    const stats = statistics.analyze(...prepare('Sonnenblume.'));
+    assert.strictEqual(stats.syllablesPerWord, 4);
+});
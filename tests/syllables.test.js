@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const loadQuasselo = require('./load-quasselo');
+
+const get = loadQuasselo();
+const segmenter = new (get('SyllableSegmenter'))();
+
+const split = word => segmenter.split(word).join('-');
+
+test('consonants between vowels', () => {
+    assert.strictEqual(split('Schafe'), 'Scha-fe');
+    assert.strictEqual(split('Kinder'), 'Kin-der');
+    assert.strictEqual(split('Fenster'), 'Fens-ter');
+    assert.strictEqual(split('Sonnenblume'), 'Son-nen-blu-me');
+    assert.strictEqual(split('Ausstrahlung'), 'Aus-strah-lung');
+});
+
+test('prefixes before a vowel keep their syllable, "er" does not split a vowel off', () => {
+    assert.strictEqual(split('verändern'), 'ver-än-dern');
+    assert.strictEqual(split('unartig'), 'un-ar-tig');
+    assert.strictEqual(split('Erinnerung'), 'E-rin-ne-rung');
+});
+
+test('accented vowels of loanwords', () => {
+    assert.strictEqual(split('Café'), 'Ca-fé');
+});
+
+test('punctuation stays with the neighbouring syllable', () => {
+    assert.strictEqual(split('„Schafe,“'), '„Scha-fe,“');
+    assert.strictEqual(split('42'), '42');
+});
@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const loadQuasselo = require('./load-quasselo');
+
+const get = loadQuasselo();
+const Quasselo = get('Quasselo');
+
+const TEXT = 'Das Schaf steht. Es guckt.';
+
+// The parts of the app that preparing and timings need, without the page
+function createApp(text) {
+    const app = Object.create(Quasselo.prototype);
+    Object.assign(app, {
+        normalizer: new (get('TextNormalizer'))(),
+        segmenter: new (get('SentenceSegmenter'))(),
+        languageDetector: new (get('LanguageDetector'))(),
+        structure: new (get('DocumentStructure'))(),
+        textArea: { textContent: text },
+        textName: { value: 'schaf' },
+        words: [],
+        isPrepared: true,
+        showMessage() {},
+        renderTimingInfo() {}
+    });
+    app.resetWordTimings();
+    app.setWords(app.tokenize(text));
+    return app;
+}
+
+function timingsFile(words) {
+    const json = JSON.stringify({ format: 'quasselo-timings', version: 1, text: TEXT, words });
+    return { name: 'schaf.timings.json', arrayBuffer: async () => new TextEncoder().encode(json) };
+}
+
+test('imported timings survive preparing the same text again', async () => {
+    const app = createApp(TEXT);
+    await app.importTimings(timingsFile([
+        { text: 'Das', offset: 0, start: 0, end: 0.3, rate: 1 },
+        { text: 'Schaf', offset: 4, start: 0.3, end: 0.8, rate: 1 }
+    ]));
+    assert.strictEqual(app.getTimedWords().length, 2);
+    
+    app.setWords(app.tokenize(TEXT));
+    assert.strictEqual(app.getTimedWords().length, 2);
+    
+    // New readings don't overwrite them
+    app.recordWordTiming(0, 1);
+    assert.strictEqual(app.wordTimings[0].end, 0.3);
+    
+    app.textArea.textContent = 'Das Schaf geht.';
+    app.setWords(app.tokenize(app.textArea.textContent));
+    assert.strictEqual(app.getTimedWords().length, 0);
+});
+
+test('WebVTT export has one cue per sentence with word timestamps', async () => {
+    const app = createApp(TEXT);
+    await app.importTimings(timingsFile([
+        { text: 'Das', offset: 0, start: 0, end: 0.3, rate: 1 },
+        { text: 'Schaf', offset: 4, start: 0.3, end: 0.8, rate: 1 },
+        { text: 'steht.', offset: 10, start: 0.8, end: 1.25, rate: 1 },
+        { text: 'Es', offset: 17, start: 3661.5, end: 3661.7, rate: 1 },
+        { text: 'guckt.', offset: 20, start: 3661.7, end: 3662, rate: 1 }
+    ]));
+    
+    assert.strictEqual(app.buildTimingsVtt().vtt, [
+        'WEBVTT',
+        '',
+        '1',
+        '00:00:00.000 --> 00:00:01.250',
+        'Das <00:00:00.300>Schaf <00:00:00.800>steht.',
+        '',
+        '2',
+        '01:01:01.500 --> 01:01:02.000',
+        'Es <01:01:01.700>guckt.',
+        ''
+    ].join('\n'));
+});
+
+test('WebVTT export escapes markup in the text', () => {
+    const app = createApp('a < b & c.');
+    app.wordTimings[0] = { start: 0, end: 1, rate: 1 };
+    assert.match(app.buildTimingsVtt().vtt, /\na &lt; b &amp; c\.\n/);
+});
@@ -0,0 +1,102 @@
+// A stand-in for a local TTS server, to try the HTTP speech engine without
+// OpenTTS or Piper. Every word becomes a short beep, so the highlighting can be
+// checked by ear.
+//
+//     node tests/tts-stub-server.js [port]
+//
+// GET /api/voices            voices in the OpenTTS shape
+// GET /api/tts?text=…        audio/wav
+// GET /api/tts?text=…&timings=1
+//                            JSON { audio: base64 WAV, timestamps: [{ word, start_time, end_time }] }
+const http = require('http');
+
+const PORT = 5500;
+const SAMPLE_RATE = 16000;
+const WORD_SECONDS = 0.25; // per word at rate 1, plus a pause of the same length
+const CHAR_SECONDS = 0.03;
+const BEEP_HZ = 440;
+
+const VOICES = {
+    'stub-de': { name: 'Stub (Deutsch)', language: 'de', locale: 'de-DE' },
+    'stub-en': { name: 'Stub (English)', language: 'en', locale: 'en-US' }
+};
+
+// Start and end of each word in seconds; longer words take longer
+function wordTimings(text, rate) {
+    const timings = [];
+    let time = 0;
+    for (const word of text.split(/\s+/).filter(Boolean)) {
+        const length = (WORD_SECONDS + word.length * CHAR_SECONDS) / rate;
+        timings.push({ word, start_time: time, end_time: time + length });
+        time += length + WORD_SECONDS / rate;
+    }
+    return timings;
+}
+
+// 16-bit mono PCM with a beep while each word lasts
+function synthesize(timings) {
+    const duration = timings.length ? timings[timings.length - 1].end_time + 0.2 : 0.5;
+    const samples = Math.ceil(duration * SAMPLE_RATE);
+    const wav = Buffer.alloc(44 + samples * 2);
+    
+    wav.write('RIFF', 0);
+    wav.writeUInt32LE(36 + samples * 2, 4);
+    wav.write('WAVEfmt ', 8);
+    wav.writeUInt32LE(16, 16);
+    wav.writeUInt16LE(1, 20); // PCM
+    wav.writeUInt16LE(1, 22); // mono
+    wav.writeUInt32LE(SAMPLE_RATE, 24);
+    wav.writeUInt32LE(SAMPLE_RATE * 2, 28);
+    wav.writeUInt16LE(2, 32);
+    wav.writeUInt16LE(16, 34);
+    wav.write('data', 36);
+    wav.writeUInt32LE(samples * 2, 40);
+    
+    for (const { start_time, end_time } of timings) {
+        const from = Math.floor(start_time * SAMPLE_RATE);
+        const to = Math.min(samples, Math.floor(end_time * SAMPLE_RATE));
+        for (let i = from; i < to; i++) {
+            wav.writeInt16LE(Math.round(Math.sin(2 * Math.PI * BEEP_HZ * i / SAMPLE_RATE) * 4000), 44 + i * 2);
+        }
+    }
+    return wav;
+}
+
+function createServer() {
+    return http.createServer((request, response) => {
+        const url = new URL(request.url, 'http://localhost');
+        // The app runs on another origin (or from a file)
+        response.setHeader('Access-Control-Allow-Origin', '*');
+        
+        if (url.pathname === '/api/voices') {
+            response.setHeader('Content-Type', 'application/json');
+            response.end(JSON.stringify(VOICES));
+        } else if (url.pathname === '/api/tts') {
+            const text = url.searchParams.get('text') || '';
+            const rate = parseFloat(url.searchParams.get('rate')) || 1;
+            const timings = wordTimings(text, rate);
+            const wav = synthesize(timings);
+            console.log(`${url.searchParams.get('voice') || '-'}: ${text}`);
+            
+            if (url.searchParams.get('timings')) {
+                response.setHeader('Content-Type', 'application/json');
+                response.end(JSON.stringify({ audio: wav.toString('base64'), timestamps: timings }));
+            } else {
+                response.setHeader('Content-Type', 'audio/wav');
+                response.end(wav);
+            }
+        } else {
+            response.statusCode = 404;
+            response.end();
+        }
+    });
+}
+
+if (require.main === module) {
+    const port = parseInt(process.argv[2], 10) || PORT;
+    createServer().listen(port, () => {
+        console.log(`TTS stub on http://localhost:${port}/api/tts?voice={voice}&text={text}&rate={rate}`);
+    });
+}
+
+module.exports = { createServer, wordTimings };
@@ -0,0 +1,15 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const loadQuasselo = require('./load-quasselo');
+
+const get = loadQuasselo();
+
+test('practice speaks the saved sentence like the reader does', () => {
+    const app = Object.create(get('Quasselo').prototype);
+    app.normalizer = new (get('TextNormalizer'))();
+    app.lexicon = new (get('PronunciationLexicon'))([{ type: 'word', match: 'José', replacement: 'Choseh' }]);
+    
+    assert.strictEqual(app.buildSpokenSentence('José kam am 3. Mai, z.B. mit Dr. Meier.', 'de'),
+        'Choseh kam am dritten Mai, zum Beispiel mit Doktor Meier.');
+    assert.strictEqual(app.buildSpokenSentence('José met Dr. Smith.', 'en'), 'Choseh met Dr. Smith.');
+});
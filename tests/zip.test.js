@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const zlib = require('zlib');
+const loadQuasselo = require('./load-quasselo');
+
+const get = loadQuasselo();
+const ZipWriter = get('ZipWriter');
+const ZipReader = get('ZipReader');
+
+// An archive with one deflated entry, as other programs write it
+function deflatedZip(name, text) {
+    const nameBytes = Buffer.from(name);
+    const data = Buffer.from(text);
+    const compressed = zlib.deflateRawSync(data);
+    const crc = get('crc32')(new Uint8Array(data));
+    
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBytes.length, 26);
+    
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(nameBytes.length, 28);
+    
+    const centralOffset = local.length + nameBytes.length + compressed.length;
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(1, 8);
+    end.writeUInt16LE(1, 10);
+    end.writeUInt32LE(central.length + nameBytes.length, 12);
+    end.writeUInt32LE(centralOffset, 16);
+    
+    const zip = Buffer.concat([local, nameBytes, compressed, central, nameBytes, end]);
+    return zip.buffer.slice(zip.byteOffset, zip.byteOffset + zip.length);
+}
+
+test('stored entries written by ZipWriter read back', async () => {
+    const zip = new ZipWriter();
+    zip.addFile('text.txt', 'Schäfchen zählen');
+    zip.addFile('daten/bytes.bin', new Uint8Array([0, 1, 2, 255]));
+    
+    const reader = new ZipReader(await zip.toBlob().arrayBuffer());
+    assert.strictEqual(reader.names().join(','), 'text.txt,daten/bytes.bin');
+    assert.strictEqual(await reader.readText('text.txt'), 'Schäfchen zählen');
+    assert.strictEqual((await reader.readBytes('daten/bytes.bin')).join(','), '0,1,2,255');
+});
+
+test('deflated entries are inflated', async () => {
+    const text = 'Das Schaf steht auf dem Deich. '.repeat(20);
+    const reader = new ZipReader(deflatedZip('chapter.xhtml', text));
+    assert.strictEqual(await reader.readText('chapter.xhtml'), text);
+});
+
+test('CRC-32 of a known string', () => {
+    assert.strictEqual(get('crc32')(new TextEncoder().encode('123456789')), 0xcbf43926);
+});
+
+test('broken archives are rejected', async () => {
+    assert.throws(() => new ZipReader(new TextEncoder().encode('kein zip').buffer), /kein gültiges ZIP-Archiv/);
+    
+    const reader = new ZipReader(await new ZipWriter().toBlob().arrayBuffer());
+    await assert.rejects(() => reader.readText('fehlt.txt'), /fehlt im Archiv/);
+});
+
+test('a bundle round trip keeps text, position and bookmarks', async () => {
+    const app = Object.create(get('Quasselo').prototype);
+    let blob = null;
+    Object.assign(app, {
+        isPrepared: true,
+        textArea: { textContent: 'Das Schaf. Es steht.' },
+        textName: { value: 'Schafe' },
+        words: [{ text: 'Das', spoken: 'Das', start: 0, end: 3 }, { text: 'Schaf.', spoken: 'Schaf.', start: 4, end: 10 }],
+        currentIndex: 1,
+        bookmarks: [{ id: 'b1', name: 'Stelle', note: 'hier', index: 1, anchor: null }],
+        anchors: new (get('BookmarkAnchors'))(),
+        textSettingsOverride: false,
+        downloadBlob(data) { blob = data; },
+        showMessage() {}
+    });
+    
+    await app.exportData();
+    const bundle = await app.readBundle({ name: 'Schafe.quasselo.zip', arrayBuffer: () => blob.arrayBuffer() });
+    
+    assert.strictEqual(bundle.name, 'Schafe');
+    assert.strictEqual(bundle.text, 'Das Schaf. Es steht.');
+    assert.strictEqual(bundle.prepared, true);
+    assert.strictEqual(bundle.position, 1);
+    assert.strictEqual(bundle.tokens.length, 2);
+    assert.strictEqual(bundle.bookmarks[0].note, 'hier');
+});
+
+test('version 1 JSON exports are migrated', async () => {
+    const app = Object.create(get('Quasselo').prototype);
+    const json = JSON.stringify({ name: 'Alt', words: ['Ein', 'Schaf.'], version: '1.0' });
+    const bundle = await app.readBundle({ name: 'alt.json', arrayBuffer: async () => new TextEncoder().encode(json).buffer });
+    
+    assert.strictEqual(bundle.text, 'Ein Schaf.');
+    assert.strictEqual(bundle.prepared, true);
+});